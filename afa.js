@@ -0,0 +1,393 @@
+// afa.js
+// Depreciation of the building (AfA) per holding year:
+// - linear and degressive models on the whole AfA basis (§7 Abs. 4 / 5a
+//   EStG, simplified as fixed rates)
+// - §7b Sonderabschreibung for new rental flats: on top of the linear AfA,
+//   5 % p.a. in the year of purchase and the 3 following years, on at most
+//   a cap per m² of living area. Flats above the construction cost cap get
+//   none. Afterwards the remaining value is spread over the remaining
+//   useful life (§7a Abs. 9 EStG).
+// - §7h / §7i (Sanierungsgebiet, Baudenkmal): the certified modernisation
+//   costs 9 % p.a. for 8 years, then 7 % p.a. for 4 years; the old
+//   substance linear 2 % (2.5 % if built before 1925). Later CapEx is
+//   depreciated with the old substance.
+// - custom schedule: a rate per holding year
+// All rates are DECIMALS, all money values in EUR. Pure module (no DOM).
+
+import { parseYearAmounts } from "./rentPath.js";
+
+export const AFA_MODELS = [
+  "Linear 2%",
+  "Linear 3%",
+  "Degressive 5% + Linear 2%",
+  "Degressive 5% + Linear 3%",
+  "Linear 1/Restnutzungsdauer",
+  "Sonder-AfA §7b",
+  "Sanierungsgebiet §7h",
+  "Denkmal-AfA §7i",
+  "Custom schedule",
+];
+
+// Other spellings of the same models (labels of older versions)
+const AFA_MODEL_ALIASES = {
+  "Linear 2% p.a.": "Linear 2%",
+  "Linear 3% p.a.": "Linear 3%",
+  "Linear 1 / remaining life": "Linear 1/Restnutzungsdauer",
+};
+
+// §7b: application window for the building permit (Bauantrag), the
+// construction cost cap and the cap of the special AfA basis, per m²
+const NEW_BUILD_REGIMES = [
+  {
+    from: "2018-09",
+    to: "2021-12",
+    costCapPerSqm: 3000,
+    basisCapPerSqm: 2000,
+    regularRate: 0.02,
+    needsEfficiencyHouse40: false,
+  },
+  {
+    from: "2023-01",
+    to: "2029-09",
+    costCapPerSqm: 5200,
+    basisCapPerSqm: 4000,
+    regularRate: 0.03,
+    needsEfficiencyHouse40: true, // EH40 with QNG seal
+  },
+];
+const NEW_BUILD_SPECIAL_RATE = 0.05;
+const NEW_BUILD_SPECIAL_YEARS = 4;
+
+// §7h / §7i: [up to holding year, rate] on the certified costs
+const LISTED_SCHEDULE = [
+  [8, 0.09],
+  [12, 0.07],
+];
+const OLD_SUBSTANCE_RATE = 0.02;
+const OLD_SUBSTANCE_RATE_BEFORE_1925 = 0.025;
+
+// -------------------------------------------------------------
+// 1. Custom schedule
+// -------------------------------------------------------------
+
+/**
+ * Custom schedule from text, e.g. "1: 5; 7: 2" - rates in % p.a.; a rate
+ * applies from its holding year until the next entry.
+ *
+ * @returns {Array<{year: number, rate: number}>} rates as decimals
+ */
+export function parseAfaSchedule(text) {
+  return parseYearAmounts(text).map((e) => ({
+    year: e.year,
+    rate: e.amount / 100,
+  }));
+}
+
+export function formatAfaSchedule(entries = []) {
+  return entries
+    .map((e) => `${e.year}: ${+(e.rate * 100).toFixed(4)}`)
+    .join("; ");
+}
+
+function scheduleRate(schedule, year) {
+  let rate = 0;
+  for (const entry of schedule) {
+    if (entry.year <= year) rate = entry.rate;
+  }
+  return rate;
+}
+
+// -------------------------------------------------------------
+// 2. Model and eligibility
+// -------------------------------------------------------------
+
+const euro = (value) => `${Math.round(value).toLocaleString("de-DE")} €`;
+
+function monthKey({ year, month }) {
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+function planNewBuild({ basis, sqm, buildingPermit, efficiencyHouse40 }) {
+  const notEligible = (reason, regularRate = 0.03) => ({
+    specialBasis: 0,
+    regularRate,
+    warnings: [
+      {
+        code: "specialAfaNotEligible",
+        severity: "warning",
+        message: `No §7b special AfA: ${reason}`,
+      },
+    ],
+  });
+
+  if (!buildingPermit) {
+    return notEligible("enter the date of the building application.");
+  }
+  const permit = monthKey(buildingPermit);
+  const regime = NEW_BUILD_REGIMES.find(
+    (r) => permit >= r.from && permit <= r.to
+  );
+  if (!regime) {
+    return notEligible(
+      `building applications from ${permit} are not eligible ` +
+        `(${NEW_BUILD_REGIMES.map((r) => `${r.from} to ${r.to}`).join(
+          " or "
+        )}).`
+    );
+  }
+  if (regime.needsEfficiencyHouse40 && !efficiencyHouse40) {
+    return notEligible(
+      "the building must meet the Effizienzhaus 40 standard with QNG seal.",
+      regime.regularRate
+    );
+  }
+  if (!(sqm > 0)) {
+    return notEligible(
+      "the living area is needed to check the cost caps.",
+      regime.regularRate
+    );
+  }
+  const costPerSqm = basis / sqm;
+  if (costPerSqm > regime.costCapPerSqm) {
+    return notEligible(
+      `building costs of ${euro(costPerSqm)} per m² exceed the cap of ` +
+        `${euro(regime.costCapPerSqm)} per m².`,
+      regime.regularRate
+    );
+  }
+
+  const basisCap = regime.basisCapPerSqm * sqm;
+  const warnings = [];
+  if (basis > basisCap) {
+    warnings.push({
+      code: "specialAfaBasisCapped",
+      severity: "info",
+      message:
+        `§7b special AfA on ${euro(basisCap)} only ` +
+        `(${euro(regime.basisCapPerSqm)} per m²), not on the whole ` +
+        `AfA basis of ${euro(basis)}.`,
+    });
+  }
+  return {
+    specialBasis: Math.min(basis, basisCap),
+    regularRate: regime.regularRate,
+    warnings,
+  };
+}
+
+function planListed({
+  afaModel,
+  basis,
+  specialAfaCost,
+  specialAfaCertified,
+  builtBefore1925,
+}) {
+  const paragraph = afaModel === "Denkmal-AfA §7i" ? "§7i" : "§7h";
+  const regularRate = builtBefore1925
+    ? OLD_SUBSTANCE_RATE_BEFORE_1925
+    : OLD_SUBSTANCE_RATE;
+  const notEligible = (reason) => ({
+    specialBasis: 0,
+    regularRate,
+    warnings: [
+      {
+        code: "specialAfaNotEligible",
+        severity: "warning",
+        message: `No ${paragraph} special AfA: ${reason}`,
+      },
+    ],
+  });
+
+  if (!specialAfaCertified) {
+    return notEligible(
+      paragraph === "§7i"
+        ? "it needs the certificate of the monument authority."
+        : "it needs the certificate of the municipality."
+    );
+  }
+  if (!(specialAfaCost > 0)) {
+    return notEligible("enter the certified modernisation costs.");
+  }
+
+  const warnings = [];
+  if (specialAfaCost > basis) {
+    warnings.push({
+      code: "specialAfaBasisCapped",
+      severity: "info",
+      message:
+        `The certified costs of ${euro(specialAfaCost)} exceed the AfA ` +
+        `basis; ${paragraph} special AfA on ${euro(basis)} only.`,
+    });
+  }
+  return {
+    specialBasis: Math.min(specialAfaCost, basis),
+    regularRate,
+    warnings,
+  };
+}
+
+/**
+ * Name of the AfA model in AFA_MODELS, also for an alias.
+ *
+ * @param {string} afaModel
+ * @returns {string|null} null for an unknown model
+ */
+export function resolveAfaModel(afaModel) {
+  const named = AFA_MODEL_ALIASES[afaModel] || afaModel;
+  return AFA_MODELS.includes(named) ? named : null;
+}
+
+/**
+ * Check the AfA model and the eligibility of a special AfA.
+ *
+ * @param {Object} options
+ * @param {string} options.afaModel - one of AFA_MODELS (or an alias)
+ * @param {number} options.basis - AfA basis at purchase
+ * @param {number} options.sqm - living area (§7b cost caps)
+ * @param {number} options.lifetimeYears - "Linear 1/Restnutzungsdauer"
+ * @param {Array} options.schedule - [{ year, rate }], "Custom schedule"
+ * @param {{year, month}|null} options.buildingPermit - date of the
+ *   building application (§7b)
+ * @param {boolean} options.efficiencyHouse40 - EH40 with QNG seal (§7b)
+ * @param {number} options.specialAfaCost - certified modernisation costs
+ *   within the AfA basis (§7h / §7i)
+ * @param {boolean} options.specialAfaCertified - certificate of the
+ *   authority (§7h / §7i)
+ * @param {boolean} options.builtBefore1925 - old substance 2.5 % (§7h /
+ *   §7i)
+ * @returns {Object} plan for afaForYear: { model, specialBasis,
+ *   regularRate, lifetimeYears, schedule, warnings }; an unknown model
+ *   claims no AfA and returns an error (severity "error"), the result is
+ *   not valid
+ */
+export function planAfa({
+  afaModel,
+  basis = 0,
+  sqm = 0,
+  lifetimeYears = 50,
+  schedule = [],
+  buildingPermit = null,
+  efficiencyHouse40 = false,
+  specialAfaCost = 0,
+  specialAfaCertified = false,
+  builtBefore1925 = false,
+}) {
+  const model = resolveAfaModel(afaModel);
+
+  const plan = {
+    model,
+    specialBasis: 0,
+    regularRate: null,
+    lifetimeYears,
+    schedule: Array.isArray(schedule) ? schedule : [],
+    warnings: [],
+  };
+  // E.g. a stored deal or a link with a renamed model. No guessing: a
+  // different model changes the tax result, so the result is invalid.
+  if (!model) {
+    plan.warnings.push({
+      code: "unknownAfaModel",
+      severity: "error",
+      message:
+        `Unknown AfA model "${afaModel}": no AfA can be calculated. ` +
+        "Choose an AfA model.",
+    });
+    return plan;
+  }
+
+  if (model === "Sonder-AfA §7b") {
+    return {
+      ...plan,
+      ...planNewBuild({ basis, sqm, buildingPermit, efficiencyHouse40 }),
+    };
+  }
+  if (model === "Sanierungsgebiet §7h" || model === "Denkmal-AfA §7i") {
+    return {
+      ...plan,
+      ...planListed({
+        afaModel: model,
+        basis,
+        specialAfaCost,
+        specialAfaCertified,
+        builtBefore1925,
+      }),
+    };
+  }
+  if (model === "Custom schedule" && plan.schedule.length === 0) {
+    plan.warnings.push({
+      code: "afaScheduleEmpty",
+      severity: "warning",
+      message: "The custom AfA schedule is empty: no AfA is claimed.",
+    });
+  }
+  return plan;
+}
+
+// -------------------------------------------------------------
+// 3. AfA per year
+// -------------------------------------------------------------
+
+function linearRate(model, year, lifetimeYears) {
+  switch (model) {
+    case "Linear 2%":
+      return year <= 50 ? 0.02 : 0.0;
+    case "Linear 3%":
+      return year <= 33 ? 0.03 : 0.0;
+    case "Degressive 5% + Linear 2%":
+      return year <= 6 ? 0.05 : 0.02;
+    case "Degressive 5% + Linear 3%":
+      return year <= 6 ? 0.05 : 0.03;
+    case "Linear 1/Restnutzungsdauer":
+      return year <= lifetimeYears ? 1 / lifetimeYears : 0.0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * AfA of one holding year, never more than the remaining AfA basis.
+ *
+ * @param {Object} plan - result of planAfa
+ * @param {number} year - holding year
+ * @param {Object} book
+ * @param {number} book.basis - AfA basis incl. CapEx added so far
+ * @param {number} book.claimed - AfA claimed in the earlier years
+ * @returns {number} AfA in EUR (positive)
+ */
+export function afaForYear(plan, year, { basis, claimed }) {
+  const remaining = Math.max(basis - claimed, 0);
+  const { model, specialBasis, regularRate } = plan;
+  let amount;
+
+  switch (model) {
+    case "Sonder-AfA §7b":
+      if (year <= NEW_BUILD_SPECIAL_YEARS) {
+        amount = basis * regularRate + specialBasis * NEW_BUILD_SPECIAL_RATE;
+      } else {
+        // Remaining value over the rest of the useful life
+        const lifeLeft = 1 / regularRate - (year - 1);
+        amount = remaining / Math.max(lifeLeft, 1);
+      }
+      break;
+
+    case "Sanierungsgebiet §7h":
+    case "Denkmal-AfA §7i": {
+      const step = LISTED_SCHEDULE.find(([untilYear]) => year <= untilYear);
+      const oldSubstanceYears = Math.round(1 / regularRate);
+      amount =
+        (basis - specialBasis) *
+          (year <= oldSubstanceYears ? regularRate : 0) +
+        specialBasis * (step ? step[1] : 0);
+      break;
+    }
+
+    case "Custom schedule":
+      amount = basis * scheduleRate(plan.schedule, year);
+      break;
+
+    default:
+      amount = basis * linearRate(model, year, plan.lifetimeYears);
+  }
+
+  return Math.min(amount, remaining);
+}
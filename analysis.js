@@ -0,0 +1,245 @@
+// analysis.js
+// Analyses that run the model many times for one set of inputs.
+// All rates are DECIMALS, all money values in EUR.
+
+import { simulateScenario } from "./model.js";
+
+// -------------------------------------------------------------
+// 1. Exit year sweep ("find best exit")
+// -------------------------------------------------------------
+
+// Rank exits by IRR; fall back to annualized ROE when no IRR exists
+function exitScore(row) {
+  return row.irr != null ? row.irr : row.roeAnnualized;
+}
+
+function bestOf(rows) {
+  return rows.reduce(
+    (best, row) =>
+      best == null || exitScore(row) > exitScore(best) ? row : best,
+    null
+  );
+}
+
+/**
+ * Run the model once per possible sale year (1..investmentHorizonYears).
+ *
+ * @param {Object} inputs - model inputs (see simulateScenario)
+ * @param {Object|null} socioContext - passed through to the model
+ * @returns {Object} { rows: [...], bestInside, bestOutside } where
+ *   bestInside / bestOutside are the best exits inside / after the
+ *   10-year speculation period (null if there is none)
+ */
+export function sweepExitYears(inputs = {}, socioContext = null) {
+  const horizon = Math.max(1, inputs.investmentHorizonYears || 1);
+  const rows = [];
+
+  for (let saleYear = 1; saleYear <= horizon; saleYear++) {
+    const result = simulateScenario(
+      { ...inputs, saleMode: "sell", saleYear, saleDate: null },
+      socioContext
+    );
+    const k = result.kpis;
+    rows.push({
+      saleYear,
+      calendarYear: result.years[result.years.length - 1].calendarYear,
+      saleDate: result.meta.saleDate,
+      speculativeSale: result.meta.speculativeSale,
+      equityPosition: k.totalProfit,
+      roeAnnualized: k.roeAnnualized,
+      irr: k.irr,
+    });
+  }
+
+  return {
+    rows,
+    bestInside: bestOf(rows.filter((r) => r.speculativeSale)),
+    bestOutside: bestOf(rows.filter((r) => !r.speculativeSale)),
+  };
+}
+
+// -------------------------------------------------------------
+// 2. Reading & writing single inputs by path
+// -------------------------------------------------------------
+// Paths are input keys ("monthlyRent") or tranche fields ("loans.0.interestRate").
+// "purchasePrice" is virtual: it scales building and land value together.
+
+const VIRTUAL_INPUTS = {
+  purchasePrice: {
+    get: (inputs) => (inputs.buildingValue || 0) + (inputs.landValue || 0),
+    set: (inputs, value) => {
+      const price = (inputs.buildingValue || 0) + (inputs.landValue || 0);
+      const factor = price > 0 ? value / price : 0;
+      return {
+        ...inputs,
+        buildingValue: (inputs.buildingValue || 0) * factor,
+        landValue: (inputs.landValue || 0) * factor,
+      };
+    },
+  },
+};
+
+// Numeric inputs that do not make sense to vary
+const SENSITIVITY_EXCLUDED = ["startYear", "saleYear"];
+
+// Terms and periods stay whole years when varied
+function roundForPath(path, value) {
+  return /Years$/.test(path) ? Math.round(value) : value;
+}
+
+export function getInputValue(inputs, path) {
+  if (VIRTUAL_INPUTS[path]) return VIRTUAL_INPUTS[path].get(inputs);
+  return path
+    .split(".")
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), inputs);
+}
+
+export function setInputValue(inputs, path, value) {
+  if (VIRTUAL_INPUTS[path]) return VIRTUAL_INPUTS[path].set(inputs, value);
+
+  const [key, ...rest] = path.split(".");
+  if (rest.length === 0) return { ...inputs, [key]: value };
+
+  const child = inputs[key];
+  const copy = Array.isArray(child) ? [...child] : { ...child };
+  const [index, ...tail] = rest;
+  copy[index] =
+    tail.length === 0
+      ? value
+      : setInputValue(copy[index] || {}, tail.join("."), value);
+  return { ...inputs, [key]: copy };
+}
+
+/**
+ * All numeric input paths of a set of inputs, including tranche fields and
+ * the virtual purchase price.
+ */
+export function listNumericInputs(inputs = {}) {
+  const paths = ["purchasePrice"];
+
+  for (const [key, value] of Object.entries(inputs)) {
+    if (SENSITIVITY_EXCLUDED.includes(key)) continue;
+    if (typeof value === "number" && Number.isFinite(value)) {
+      paths.push(key);
+    } else if (key === "loans" && Array.isArray(value)) {
+      value.forEach((tranche, i) => {
+        for (const [field, v] of Object.entries(tranche)) {
+          if (typeof v === "number" && Number.isFinite(v)) {
+            paths.push(`loans.${i}.${field}`);
+          }
+        }
+      });
+    }
+  }
+  return paths;
+}
+
+// -------------------------------------------------------------
+// 3. Sensitivity (tornado) & two-variable grid
+// -------------------------------------------------------------
+
+export const SENSITIVITY_METRICS = {
+  roeAnnualized: {
+    label: "Annualized ROE",
+    read: (result) => result.kpis.roeAnnualized,
+  },
+  endEquity: {
+    label: "End equity",
+    read: (result) => result.kpis.totalProfit,
+  },
+  year1Cashflow: {
+    label: "Cashflow after tax, year 1",
+    read: (result) => result.years[0].cashAfterTax,
+  },
+};
+
+function readMetrics(result) {
+  const out = {};
+  for (const [key, metric] of Object.entries(SENSITIVITY_METRICS)) {
+    out[key] = metric.read(result);
+  }
+  return out;
+}
+
+/**
+ * Vary every numeric input by -step and +step (relative to its value) and
+ * record the change of all metrics. Inputs that are 0 cannot be varied
+ * relatively and are skipped.
+ *
+ * @param {Object} inputs - model inputs
+ * @param {Object} options
+ * @param {number} options.step - relative step, e.g. 0.1 for ±10 %
+ * @param {string} options.rankBy - metric key used for the ranking
+ * @returns {Object} { base: metrics, rows: [...] } rows sorted by swing
+ */
+export function runSensitivity(
+  inputs = {},
+  { step = 0.1, rankBy = "roeAnnualized", socioContext = null } = {}
+) {
+  const base = readMetrics(simulateScenario(inputs, socioContext));
+  const rows = [];
+
+  for (const path of listNumericInputs(inputs)) {
+    const value = getInputValue(inputs, path);
+    if (!value) continue;
+
+    const lowValue = roundForPath(path, value * (1 - step));
+    const highValue = roundForPath(path, value * (1 + step));
+    const low = readMetrics(
+      simulateScenario(setInputValue(inputs, path, lowValue), socioContext)
+    );
+    const high = readMetrics(
+      simulateScenario(setInputValue(inputs, path, highValue), socioContext)
+    );
+
+    const delta = {};
+    for (const key of Object.keys(base)) {
+      delta[key] = {
+        low: low[key] - base[key],
+        high: high[key] - base[key],
+      };
+    }
+
+    rows.push({
+      path,
+      value,
+      lowValue,
+      highValue,
+      delta,
+      swing: Math.abs(delta[rankBy].high - delta[rankBy].low),
+    });
+  }
+
+  rows.sort((a, b) => b.swing - a.swing);
+  return { base, rows };
+}
+
+/**
+ * Evaluate one metric on a grid of two inputs.
+ *
+ * @param {Object} inputs - model inputs
+ * @param {Object} options
+ * @param {{path: string, values: number[]}} options.x
+ * @param {{path: string, values: number[]}} options.y
+ * @param {string} options.metric - key of SENSITIVITY_METRICS
+ * @returns {Object} { xValues, yValues, cells } with cells[row][col]
+ */
+export function runTwoWayGrid(
+  inputs = {},
+  { x, y, metric = "roeAnnualized", socioContext = null }
+) {
+  const read = SENSITIVITY_METRICS[metric].read;
+
+  const cells = y.values.map((yValue) =>
+    x.values.map((xValue) => {
+      const varied = setInputValue(
+        setInputValue(inputs, x.path, roundForPath(x.path, xValue)),
+        y.path,
+        roundForPath(y.path, yValue)
+      );
+      return read(simulateScenario(varied, socioContext));
+    })
+  );
+
+  return { xValues: x.values, yValues: y.values, cells };
+}
@@ -0,0 +1,115 @@
+// capex.js
+// Planned capital expenditure (roof, heating, windows, ...) and its tax
+// treatment. Repairs and modernisation are deducted in the year they are
+// paid (Erhaltungsaufwand), extensions are always added to the AfA basis
+// (Herstellungskosten). Within 3 years of the purchase, repairs and
+// modernisation above 15 % of the building's acquisition costs are
+// "anschaffungsnahe Herstellungskosten" (§6 Abs. 1 Nr. 1a EStG): all of
+// them go into the AfA basis instead, including the initial repairs.
+// Customary yearly maintenance does not count towards the limit.
+// The limit applies to net amounts; comparing the amounts as entered
+// (usually incl. VAT) crosses it a little earlier, on the safe side.
+// All money values in EUR. Pure module (no DOM).
+
+export const CAPEX_CATEGORIES = [
+  { key: "repair", label: "Repair (Erhaltung)" },
+  { key: "modernisation", label: "Modernisation" },
+  { key: "extension", label: "Extension (Herstellung)" },
+];
+
+const ACQUISITION_RELATED_LIMIT = 0.15;
+const ACQUISITION_RELATED_YEARS = 3;
+
+// Share of the limit from which a hint is shown
+const LIMIT_HINT_SHARE = 0.8;
+
+const CATEGORY_KEYS = CAPEX_CATEGORIES.map((c) => c.key);
+
+/**
+ * Clean up an event list from the form or a saved deal.
+ *
+ * @param {Array} events - [{ name, year, amount, category }]
+ * @returns {Array} events with a holding year >= 1 and an amount > 0,
+ *   sorted by year; unknown categories count as repairs
+ */
+export function normalizeCapexEvents(events) {
+  if (!Array.isArray(events)) return [];
+  return events
+    .filter((e) => e && e.year >= 1 && e.amount > 0)
+    .map((e) => ({
+      name: String(e.name || "CapEx"),
+      year: Math.round(e.year),
+      amount: e.amount,
+      category: CATEGORY_KEYS.includes(e.category) ? e.category : "repair",
+    }))
+    .sort((a, b) => a.year - b.year);
+}
+
+const euro = (value) => `${Math.round(value).toLocaleString("de-DE")} €`;
+
+/**
+ * Decide the tax treatment of every event.
+ *
+ * @param {Array} events - normalized events
+ * @param {Object} options
+ * @param {number} options.buildingCost - acquisition costs of the building
+ *   (building value plus its share of the purchase side costs)
+ * @param {number} options.initialRepairs - repairs in year 1 that are not
+ *   in the event list
+ * @returns {Object} {
+ *   events: events with treatment "deducted" | "capitalized",
+ *   initialRepairsCapitalized, limit, windowTotal, limitExceeded,
+ *   warnings: [{ code, severity, message }]
+ * }
+ */
+export function planCapex(events, { buildingCost = 0, initialRepairs = 0 }) {
+  const limit = buildingCost * ACQUISITION_RELATED_LIMIT;
+  const inWindow = (e) =>
+    e.year <= ACQUISITION_RELATED_YEARS && e.category !== "extension";
+
+  const windowTotal =
+    initialRepairs +
+    events.filter(inWindow).reduce((sum, e) => sum + e.amount, 0);
+  const limitExceeded = buildingCost > 0 && windowTotal > limit;
+
+  const planned = events.map((e) => ({
+    ...e,
+    treatment:
+      e.category === "extension" || (limitExceeded && inWindow(e))
+        ? "capitalized"
+        : "deducted",
+  }));
+
+  const warnings = [];
+  if (limitExceeded) {
+    warnings.push({
+      code: "acquisitionRelatedCosts",
+      severity: "warning",
+      message:
+        `Repairs and modernisation in the first ` +
+        `${ACQUISITION_RELATED_YEARS} years (${euro(windowTotal)}) exceed ` +
+        `15 % of the building costs (${euro(limit)}): they are added to ` +
+        `the AfA basis instead of being deducted right away ` +
+        `(anschaffungsnahe Herstellungskosten, §6 Abs. 1 Nr. 1a EStG).`,
+    });
+  } else if (buildingCost > 0 && windowTotal > limit * LIMIT_HINT_SHARE) {
+    warnings.push({
+      code: "acquisitionRelatedCostsNearLimit",
+      severity: "info",
+      message:
+        `Repairs and modernisation in the first ` +
+        `${ACQUISITION_RELATED_YEARS} years (${euro(windowTotal)}) are ` +
+        `close to the 15 % limit of ${euro(limit)}; above it they are no ` +
+        `longer deductible right away.`,
+    });
+  }
+
+  return {
+    events: planned,
+    initialRepairsCapitalized: limitExceeded && initialRepairs > 0,
+    limit,
+    windowTotal,
+    limitExceeded,
+    warnings,
+  };
+}
@@ -0,0 +1,238 @@
+// dealStore.js
+// Deal library: saved analyses (form inputs, selected PLZ, scenario
+// definitions, note and a KPI snapshot for the list) in localStorage.
+// Every stored deal carries a schema version; older deals are migrated
+// step by step when they are read, so they survive changes of the inputs.
+
+import { buildLegacyTranches } from "./financing.js";
+import { normalizeUnits, rentRollTotals } from "./rentRoll.js";
+
+export const DEAL_SCHEMA_VERSION = 6;
+
+const STORAGE_KEY = "realEstateCalculator.deals";
+
+// -------------------------------------------------------------
+// 1. Migrations
+// -------------------------------------------------------------
+// MIGRATIONS[n] turns a deal of version n into version n + 1.
+// To change the stored format: bump DEAL_SCHEMA_VERSION and add a step.
+
+// Inputs added in version 2: the lease rules (index and stepped leases,
+// Kappungsgrenze, Mietpreisbremse). Each step fills only missing inputs,
+// with the values that leave them switched off.
+const INPUTS_ADDED_IN_V2 = {
+  leaseType: "standard",
+  cpiGrowth: 0.02,
+  rentSteps: [],
+  // 0 = unknown; null would fill it from the location data
+  referenceRentPerSqm: 0,
+  referenceRentGrowth: null,
+  tightMarket: false,
+  newLease: false,
+  enforceRentCaps: false,
+};
+
+// Inputs added in version 3: the rent roll
+const INPUTS_ADDED_IN_V3 = {
+  rentRoll: [],
+  reletVacancyMonths: 3,
+  reletCostPerSqm: 0,
+};
+
+// Inputs added in version 4: the operating cost lines
+const INPUTS_ADDED_IN_V4 = {
+  hausgeldRecoverable: 0,
+  hausgeldNonRecoverable: 0,
+  hausgeldReserve: 0,
+  propertyTax: 0,
+  insurance: 0,
+  managementFee: 0,
+  specialLevies: [],
+  reserveBalanceStart: 0,
+  reserveUsageRate: 0.1,
+};
+
+// Inputs added in version 5: planned CapEx
+const INPUTS_ADDED_IN_V5 = {
+  capexEvents: [],
+};
+
+// Inputs added in version 6: special AfA and the custom AfA schedule
+const INPUTS_ADDED_IN_V6 = {
+  afaSchedule: [],
+  buildingPermitDate: null,
+  efficiencyHouse40: false,
+  specialAfaCost: 0,
+  specialAfaCertified: false,
+  builtBefore1925: false,
+};
+
+const MIGRATIONS = {
+  // Version 0: no schemaVersion field, single loan 1 / follow-up loan
+  // fields instead of the tranche list
+  0: (deal) => {
+    const inputs = { ...(deal.inputs || {}) };
+    if (!Array.isArray(inputs.loans)) {
+      inputs.loans = buildLegacyTranches(inputs);
+    }
+    return {
+      ...deal,
+      inputs,
+      plz: deal.plz || "",
+      note: deal.note || "",
+      scenarios: deal.scenarios || null,
+    };
+  },
+
+  // Version 1: before the lease rules. The new inputs get their neutral
+  // values, so a loaded deal does not take them over from the form.
+  1: (deal) => ({
+    ...deal,
+    inputs: { ...INPUTS_ADDED_IN_V2, ...(deal.inputs || {}) },
+  }),
+
+  // Version 2: before the rent roll. Units saved then ignored the rent and
+  // vacancy of the single flat; the model now scales the units to
+  // monthlyRent and applies vacancyRate on top, so both are set to match.
+  2: (deal) => {
+    const inputs = { ...INPUTS_ADDED_IN_V3, ...(deal.inputs || {}) };
+    const units = normalizeUnits(inputs.rentRoll);
+    if (units.length > 0) {
+      inputs.monthlyRent = rentRollTotals(units).monthlyRent;
+      inputs.vacancyRate = 0;
+    }
+    return { ...deal, inputs };
+  },
+
+  // Version 3: before the operating cost lines. annualMaintenance held all
+  // running costs of the owner; it keeps them, with the Hausgeld lines at
+  // 0, so the results stay the same.
+  3: (deal) => ({
+    ...deal,
+    inputs: { ...INPUTS_ADDED_IN_V4, ...(deal.inputs || {}) },
+  }),
+
+  // Version 4: before the CapEx plan; no events are planned
+  4: (deal) => ({
+    ...deal,
+    inputs: { ...INPUTS_ADDED_IN_V5, ...(deal.inputs || {}) },
+  }),
+
+  // Version 5: before the special AfA. A stored afaModel keeps its meaning;
+  // the new inputs are off.
+  5: (deal) => ({
+    ...deal,
+    inputs: { ...INPUTS_ADDED_IN_V6, ...(deal.inputs || {}) },
+  }),
+};
+
+/**
+ * Bring a stored deal to the current schema version.
+ * Throws for deals written by a newer version of the tool.
+ */
+export function migrateDeal(raw) {
+  let deal = { ...raw };
+  let version = Number.isInteger(deal.schemaVersion) ? deal.schemaVersion : 0;
+
+  if (version > DEAL_SCHEMA_VERSION) {
+    throw new Error(
+      `Deal "${deal.name}" has schema version ${version}, ` +
+        `this tool only knows up to ${DEAL_SCHEMA_VERSION}`
+    );
+  }
+
+  while (version < DEAL_SCHEMA_VERSION) {
+    deal = MIGRATIONS[version](deal);
+    version += 1;
+  }
+  return { ...deal, schemaVersion: DEAL_SCHEMA_VERSION };
+}
+
+// -------------------------------------------------------------
+// 2. Store
+// -------------------------------------------------------------
+
+function createDealId() {
+  return `deal-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 7)}`;
+}
+
+/**
+ * Deal store on top of a Storage object (localStorage by default).
+ * A deal is { id, name, note, plz, inputs, scenarios, kpis, createdAt,
+ * updatedAt, schemaVersion }; dates are ISO strings.
+ */
+export function createDealStore(storage = globalThis.localStorage) {
+  function readAll() {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn("Deal library could not be read:", err);
+      return [];
+    }
+  }
+
+  // Throws if the storage is full (QuotaExceededError)
+  function writeAll(deals) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(deals));
+  }
+
+  // All deals, newest first; deals that cannot be migrated are skipped
+  function list() {
+    const deals = [];
+    for (const raw of readAll()) {
+      try {
+        deals.push(migrateDeal(raw));
+      } catch (err) {
+        console.warn(err.message);
+      }
+    }
+    return deals.sort((a, b) =>
+      (b.updatedAt || "").localeCompare(a.updatedAt || "")
+    );
+  }
+
+  function get(id) {
+    return list().find((d) => d.id === id) || null;
+  }
+
+  /**
+   * Insert or update a deal (matched by id). Returns the stored deal.
+   */
+  function save(deal) {
+    const now = new Date().toISOString();
+    const all = readAll();
+    const index = all.findIndex((d) => d.id === deal.id);
+
+    const stored = {
+      ...deal,
+      id: deal.id || createDealId(),
+      createdAt: index >= 0 ? all[index].createdAt : now,
+      updatedAt: now,
+      schemaVersion: DEAL_SCHEMA_VERSION,
+    };
+    if (index >= 0) {
+      all[index] = stored;
+    } else {
+      all.push(stored);
+    }
+    writeAll(all);
+    return stored;
+  }
+
+  function duplicate(id, name) {
+    const deal = get(id);
+    if (!deal) return null;
+    return save({ ...deal, id: null, name: name || `${deal.name} (copy)` });
+  }
+
+  function remove(id) {
+    writeAll(readAll().filter((d) => d.id !== id));
+  }
+
+  return { list, get, save, duplicate, remove };
+}
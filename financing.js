@@ -0,0 +1,328 @@
+// financing.js
+// Loan tranches for the real estate investment tool.
+// A deal is financed by a list of tranches (bank annuity loan, KfW loan with
+// repayment-free start years, interest-only bullet loan, ...). Each tranche
+// has its own rate, term, fixed-rate period and grace years.
+// All money values are in EUR, all rates are DECIMALS (e.g. 0.04 for 4%).
+
+export const TRANCHE_TYPES = ["annuity", "bullet", "constantPrincipal"];
+
+// -------------------------------------------------------------
+// 1. Helper: Excel-like PMT (annuity payment) per period
+// -------------------------------------------------------------
+export function pmt(rate, nper, pv) {
+  // rate: interest rate per period (decimal, monthly = yearly / 12)
+  // nper: number of periods (months or years)
+  // pv:   present value (loan amount, positive)
+  if (Math.abs(rate) < 1e-9) {
+    return nper > 0 ? pv / nper : 0;
+  }
+  return (pv * rate) / (1 - Math.pow(1 + rate, -nper));
+}
+
+// -------------------------------------------------------------
+// 2. Tranche definitions
+// -------------------------------------------------------------
+
+/**
+ * Build the tranche list for inputs that still use the single
+ * loan 1 / follow-up financing fields (loanTermYears1, interestRate1, ...).
+ * The one annuity tranche takes the whole financing need.
+ */
+export function buildLegacyTranches(inputs = {}) {
+  const interestRate1 = inputs.interestRate1 || 0;
+  return [
+    {
+      name: "Loan 1",
+      type: "annuity",
+      amount: null,
+      share: null,
+      interestRate: interestRate1,
+      termYears: inputs.loanTermYears1 || 0,
+      graceYears: 0,
+      fixRateYears: inputs.fixRateYears1 || 0,
+      followUpRate:
+        inputs.interestRate2 != null ? inputs.interestRate2 : interestRate1,
+      followUpTermYears: inputs.loanTermYears2 || 0,
+    },
+  ];
+}
+
+/**
+ * Assign a nominal principal to every tranche.
+ *
+ * - amount > 0: fixed EUR amount
+ * - share > 0:  share of the total nominal loan (decimal)
+ * - neither:    the FIRST such tranche takes the remainder
+ *
+ * @param {Array} tranches - tranche definitions (see buildLegacyTranches)
+ * @param {number} totalLoan - nominal loan needed to cover the financing need
+ * @returns {Array} copies of the tranches with `principal` set
+ */
+export function resolveTranches(tranches = [], totalLoan = 0) {
+  let assigned = 0;
+  let remainderIndex = -1;
+
+  const resolved = tranches.map((t, i) => {
+    const type = TRANCHE_TYPES.includes(t.type) ? t.type : "annuity";
+    let principal = 0;
+    if (t.amount != null && t.amount > 0) {
+      principal = t.amount;
+    } else if (t.share != null && t.share > 0) {
+      principal = totalLoan * t.share;
+    } else if (remainderIndex < 0) {
+      remainderIndex = i;
+    }
+    assigned += principal;
+
+    return {
+      name: t.name || `Tranche ${i + 1}`,
+      type,
+      interestRate: t.interestRate || 0,
+      termYears: t.termYears || 0,
+      graceYears: Math.max(0, t.graceYears || 0),
+      fixRateYears: t.fixRateYears || 0,
+      followUpRate:
+        t.followUpRate != null ? t.followUpRate : t.interestRate || 0,
+      followUpTermYears: t.followUpTermYears || 0,
+      principal,
+    };
+  });
+
+  if (remainderIndex >= 0) {
+    resolved[remainderIndex].principal = Math.max(totalLoan - assigned, 0);
+  }
+
+  return resolved;
+}
+
+// -------------------------------------------------------------
+// 3. Monthly schedule for all tranches
+// -------------------------------------------------------------
+// German loans are paid monthly: interest accrues on the balance of each
+// month at rate / 12. The yearly simulation rolls the 12 months up.
+
+/**
+ * Create the loan book for a list of resolved tranches. Call `runYear`
+ * once per simulation year (1, 2, 3, ...); it runs the 12 monthly
+ * instalments and returns interest and principal per tranche plus events
+ * such as a refinancing at the end of a fixed-rate period.
+ *
+ * Special repayments (Sondertilgung) are booked with
+ * `applySpecialRepayment` at the end of a year. The monthly instalment of
+ * an annuity stays the same, so the loan is paid off earlier.
+ *
+ * @param {Array} resolvedTranches - see resolveTranches
+ * @param {Object} options
+ * @param {number} options.specialRepaymentCapRate - max. special repayment
+ *   per tranche and year, as share of its original principal (e.g. 0.05)
+ */
+export function createLoanBook(
+  resolvedTranches = [],
+  { specialRepaymentCapRate = 0.05 } = {}
+) {
+  const state = resolvedTranches.map((t) => {
+    const term = t.termYears;
+    const fixYears =
+      t.fixRateYears > 0 && t.fixRateYears < term ? t.fixRateYears : term;
+    return {
+      ...t,
+      fixYears,
+      endYear: term,
+      balance: t.principal,
+      rate: t.interestRate,
+      payment: 0, // monthly annuity, set once repayment starts
+    };
+  });
+
+  // Full monthly schedule (one row per tranche and month), for download
+  const schedule = [];
+
+  function remainingDebt() {
+    return state.reduce((sum, s) => sum + s.balance, 0);
+  }
+
+  function runMonth(s, year, month, calendarYear, events) {
+    let interest = 0;
+    let principal = 0;
+
+    if (s.balance <= 1e-6 || year > s.endYear) {
+      return { interest, principal };
+    }
+
+    // ---- End of fixed-rate period: refinance the remaining debt ----
+    if (year === s.fixYears + 1 && month === 1 && s.fixYears < s.endYear) {
+      s.rate = s.followUpRate;
+      if (s.followUpTermYears > 0) {
+        s.endYear = s.fixYears + s.followUpTermYears;
+      }
+      // Annuity is re-fixed on the new rate; during grace years it is
+      // set once repayment starts (see below)
+      s.payment =
+        s.type === "annuity" && year > s.graceYears
+          ? pmt(s.rate / 12, (s.endYear - year + 1) * 12, s.balance)
+          : 0;
+      events.push({
+        type: "refinancing",
+        tranche: s.name,
+        yearIndex: year,
+        calendarYear,
+        remainingDebt: s.balance,
+        interestRate: s.rate,
+        annuity:
+          s.type === "annuity" ? s.payment * 12 : s.balance * s.rate,
+        termYears: s.endYear - year + 1,
+      });
+    }
+
+    const monthsLeft = (s.endYear - year) * 12 + (12 - month + 1);
+    interest = (s.balance * s.rate) / 12;
+
+    if (year > s.graceYears) {
+      if (s.type === "annuity") {
+        // First repayment month: fix the annuity over the remaining term
+        if (s.payment === 0) {
+          s.payment = pmt(s.rate / 12, monthsLeft, s.balance);
+        }
+        principal = Math.min(s.payment - interest, s.balance);
+      } else if (s.type === "constantPrincipal") {
+        principal = s.balance / monthsLeft;
+      } else if (s.type === "bullet" && year === s.endYear && month === 12) {
+        principal = s.balance;
+      }
+    }
+
+    principal = Math.max(principal, 0);
+    s.balance = s.balance - principal > 1e-6 ? s.balance - principal : 0;
+
+    return { interest, principal };
+  }
+
+  function runYear(year, calendarYear) {
+    const events = [];
+
+    const tranches = state.map((s) => {
+      let interestPaid = 0;
+      let principalPaid = 0;
+      const rateAtStart = s.rate;
+
+      for (let month = 1; month <= 12; month++) {
+        const { interest, principal } = runMonth(
+          s,
+          year,
+          month,
+          calendarYear,
+          events
+        );
+        interestPaid += interest;
+        principalPaid += principal;
+
+        if (interest > 0 || principal > 0) {
+          schedule.push({
+            yearIndex: year,
+            calendarYear,
+            month,
+            tranche: s.name,
+            interestRate: s.rate,
+            payment: interest + principal,
+            interest,
+            principal,
+            specialRepayment: 0,
+            remainingDebt: s.balance,
+          });
+        }
+      }
+
+      return {
+        name: s.name,
+        type: s.type,
+        interestRate: interestPaid > 0 ? s.rate : 0,
+        interestRateAtStart: interestPaid > 0 ? rateAtStart : 0,
+        interestPaid,
+        principalPaid,
+        specialRepayment: 0,
+        remainingDebt: s.balance,
+      };
+    });
+
+    return {
+      yearIndex: year,
+      calendarYear,
+      tranches,
+      events,
+      interestPaid: tranches.reduce((sum, t) => sum + t.interestPaid, 0),
+      principalPaid: tranches.reduce((sum, t) => sum + t.principalPaid, 0),
+      remainingDebt: remainingDebt(),
+    };
+  }
+
+  /**
+   * Book a special repayment at the end of the given year. The amount is
+   * spread over the tranches in list order, each limited by the yearly cap
+   * and its balance. Bullet loans take special repayments last.
+   *
+   * @param {number} amount - EUR the investor wants to repay
+   * @param {Object} loanYear - result of runYear for the same year; its
+   *   tranche rows are updated in place
+   * @returns {number} EUR actually repaid
+   */
+  function applySpecialRepayment(amount, loanYear) {
+    let left = Math.max(amount || 0, 0);
+    let repaid = 0;
+
+    const order = [
+      ...state.filter((s) => s.type !== "bullet"),
+      ...state.filter((s) => s.type === "bullet"),
+    ];
+
+    for (const s of order) {
+      if (left <= 1e-6) break;
+      const cap = s.principal * specialRepaymentCapRate;
+      const pay = Math.min(left, cap, s.balance);
+      if (pay <= 1e-6) continue;
+
+      s.balance = s.balance - pay > 1e-6 ? s.balance - pay : 0;
+      left -= pay;
+      repaid += pay;
+
+      // Rows of runYear are in tranche order; names need not be unique
+      const row = loanYear.tranches[state.indexOf(s)];
+      if (row) {
+        row.specialRepayment += pay;
+        row.remainingDebt = s.balance;
+      }
+      schedule.push({
+        yearIndex: loanYear.yearIndex,
+        calendarYear: loanYear.calendarYear,
+        month: 12,
+        tranche: s.name,
+        interestRate: s.rate,
+        payment: pay,
+        interest: 0,
+        principal: 0,
+        specialRepayment: pay,
+        remainingDebt: s.balance,
+      });
+    }
+
+    loanYear.remainingDebt = remainingDebt();
+    return repaid;
+  }
+
+  // Sale: the buyer's money repays every tranche at once
+  function repayAll() {
+    const repaid = remainingDebt();
+    state.forEach((s) => {
+      s.balance = 0;
+    });
+    return repaid;
+  }
+
+  return {
+    runYear,
+    applySpecialRepayment,
+    repayAll,
+    remainingDebt,
+    schedule,
+  };
+}
@@ -0,0 +1,281 @@
+// locationRanking.js
+// Location ranking: the same purchase (budget, apartment size, financing
+// structure of the form) run through the model in every PLZ of the socio
+// dataset, with that PLZ's purchase price, rent and vacancy. PLZs are
+// ranked by gross yield, cashflow, IRR and a location score.
+// All rates are DECIMALS, all money values in EUR. Pure module (no DOM).
+
+import { simulateScenario } from "./model.js";
+import { placeName } from "./plzLookup.js";
+import { latestRecords } from "./socioImport.js";
+import { SOCIO_DEFAULT_FIELDS } from "./socioInsights.js";
+
+// Location score: [field, weight, direction]; direction -1 = lower is
+// better. New construction counts against a location because new supply
+// holds rents back (same view as the rent growth heuristic).
+const SCORE_FACTORS = [
+  ["population_growth_pct", 0.35, 1],
+  ["unemployment_rate_pct", 0.25, -1],
+  ["median_net_income_eur", 0.25, 1],
+  ["new_construction_units_per_1000_residents", 0.15, -1],
+];
+
+// Land share of the price when the form has no purchase price
+const DEFAULT_LAND_SHARE = 0.25;
+
+// Metrics with their own rank; "overall" is the average of these ranks
+export const RANKING_METRICS = [
+  { key: "grossYield", label: "Gross yield" },
+  { key: "cashflowYear1", label: "Cashflow year 1" },
+  { key: "irr", label: "Equity IRR" },
+  { key: "locationScore", label: "Location score" },
+];
+
+// type: "text", "money", "rate" (decimal), "number"
+export const RANKING_COLUMNS = [
+  { key: "overallRank", label: "Rank", type: "number" },
+  { key: "plz", label: "PLZ", type: "text" },
+  { key: "place", label: "Place", type: "text" },
+  { key: "pricePerSqm", label: "Price €/m²", type: "money" },
+  { key: "rentPerSqm", label: "Rent €/m²", type: "number" },
+  { key: "sqm", label: "m²", type: "number" },
+  { key: "purchasePrice", label: "Purchase price", type: "money" },
+  { key: "grossYield", label: "Gross yield", type: "rate" },
+  { key: "cashflowYear1", label: "Cashflow year 1", type: "money" },
+  { key: "irr", label: "Equity IRR", type: "rate" },
+  { key: "locationScore", label: "Location score", type: "number" },
+];
+
+// -------------------------------------------------------------
+// 1. Location score
+// -------------------------------------------------------------
+
+/**
+ * Location score 0..100 per PLZ: every factor is scaled to 0..1 between
+ * the worst and the best PLZ of the dataset, then weighted.
+ *
+ * @param {Array} records - one record per PLZ (latest year)
+ * @returns {Map<string, number>} plz -> score
+ */
+export function locationScores(records) {
+  const scores = new Map(records.map((r) => [r.plz, 0]));
+
+  for (const [field, weight, direction] of SCORE_FACTORS) {
+    const values = records.map((r) => r[field]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    for (const r of records) {
+      // All PLZ equal on this factor: neutral half score
+      let scaled = max > min ? (r[field] - min) / (max - min) : 0.5;
+      if (direction < 0) scaled = 1 - scaled;
+      scores.set(r.plz, scores.get(r.plz) + scaled * weight * 100);
+    }
+  }
+  return scores;
+}
+
+// -------------------------------------------------------------
+// 2. Model inputs per PLZ
+// -------------------------------------------------------------
+
+/**
+ * The form inputs moved to another PLZ: purchase price and size from the
+ * location, equity, tranche amounts, repairs, CapEx and certified
+ * modernisation costs scaled with the price, Hausgeld, property tax,
+ * maintenance and reserve with the size.
+ * Rent, vacancy and growth rates are left empty so the model takes them
+ * from the location record.
+ */
+function inputsForLocation(baseInputs, { price, sqm }) {
+  const baseLand = baseInputs.landValue || 0;
+  const basePrice = (baseInputs.buildingValue || 0) + baseLand;
+  const landShare = basePrice > 0 ? baseLand / basePrice : DEFAULT_LAND_SHARE;
+  const priceFactor = basePrice > 0 ? price / basePrice : 1;
+  const sqmFactor = baseInputs.sqm > 0 ? sqm / baseInputs.sqm : 1;
+
+  // Whole euros, so a row loaded into the form reads like typed values
+  const scaled = (value, factor) => Math.round((value || 0) * factor);
+  const landValue = Math.round(price * landShare);
+
+  const inputs = {
+    ...baseInputs,
+    buildingValue: Math.round(price) - landValue,
+    landValue,
+    sqm,
+    equity: scaled(baseInputs.equity, priceFactor),
+    fittingUp: scaled(baseInputs.fittingUp, priceFactor),
+    initialRepairs: scaled(baseInputs.initialRepairs, priceFactor),
+    specialAfaCost: scaled(baseInputs.specialAfaCost, priceFactor),
+    hausgeldRecoverable: scaled(baseInputs.hausgeldRecoverable, sqmFactor),
+    hausgeldNonRecoverable: scaled(
+      baseInputs.hausgeldNonRecoverable,
+      sqmFactor
+    ),
+    hausgeldReserve: scaled(baseInputs.hausgeldReserve, sqmFactor),
+    propertyTax: scaled(baseInputs.propertyTax, sqmFactor),
+    annualMaintenance: scaled(baseInputs.annualMaintenance, sqmFactor),
+    reserveBalanceStart: scaled(baseInputs.reserveBalanceStart, sqmFactor),
+    loans: Array.isArray(baseInputs.loans)
+      ? baseInputs.loans.map((t) => ({
+          ...t,
+          amount: t.amount > 0 ? scaled(t.amount, priceFactor) : t.amount,
+        }))
+      : baseInputs.loans,
+    capexEvents: Array.isArray(baseInputs.capexEvents)
+      ? baseInputs.capexEvents.map((e) => ({
+          ...e,
+          amount: scaled(e.amount, priceFactor),
+        }))
+      : baseInputs.capexEvents,
+  };
+  for (const field of SOCIO_DEFAULT_FIELDS) inputs[field] = null;
+  // One flat of the target size, not the units of the form
+  inputs.rentRoll = [];
+  return inputs;
+}
+
+// -------------------------------------------------------------
+// 3. Ranking
+// -------------------------------------------------------------
+
+// Rank 1 = highest value; missing values (no IRR) rank last
+function assignRanks(rows, key) {
+  const sorted = [...rows].sort(
+    (a, b) => (b[key] ?? -Infinity) - (a[key] ?? -Infinity)
+  );
+  sorted.forEach((row, i) => {
+    row.ranks[key] = i + 1;
+  });
+}
+
+/**
+ * @param {Array} records - socio dataset (all years; the latest per PLZ
+ *   is used)
+ * @param {Object} baseInputs - model inputs of the form (financing, taxes,
+ *   costs)
+ * @param {Object} options
+ * @param {number} options.budget - max. purchase price; 0 = no limit
+ * @param {number} options.sqm - target apartment size; smaller where the
+ *   budget does not reach (sizeReduced)
+ * @returns {Array} rows sorted by overall rank: { plz, place, year,
+ *   pricePerSqm, rentPerSqm, sqm, sizeReduced, purchasePrice, grossYield,
+ *   cashflowYear1, irr, locationScore, ranks, overallRank, inputs }
+ */
+export function runLocationRanking(
+  records,
+  baseInputs,
+  { budget = 0, sqm: targetSqm = 0 } = {}
+) {
+  const latest = latestRecords(records).filter(
+    (r) => r.avg_purchase_price_eur_m2 > 0
+  );
+  const scores = locationScores(latest);
+
+  const rows = latest.map((rec) => {
+    const pricePerSqm = rec.avg_purchase_price_eur_m2;
+    const affordableSqm = budget > 0 ? budget / pricePerSqm : Infinity;
+    // Sizes to one decimal (m² as in an exposé)
+    const sqm = Math.min(targetSqm, Math.floor(affordableSqm * 10) / 10);
+    const price = pricePerSqm * sqm;
+
+    const inputs = inputsForLocation(baseInputs, { price, sqm });
+    const result = simulateScenario(inputs, rec);
+
+    return {
+      plz: rec.plz,
+      place: placeName(rec.plz),
+      year: rec.year,
+      pricePerSqm,
+      rentPerSqm: rec.avg_rent_eur_m2,
+      sqm,
+      sizeReduced: sqm < targetSqm,
+      purchasePrice: price,
+      grossYield: price > 0 ? (rec.avg_rent_eur_m2 * sqm * 12) / price : 0,
+      cashflowYear1: result.years[0].cashAfterTax,
+      irr: result.kpis.irr,
+      locationScore: scores.get(rec.plz),
+      ranks: {},
+      overallRank: null,
+      inputs,
+    };
+  });
+
+  for (const { key } of RANKING_METRICS) assignRanks(rows, key);
+
+  // Overall: average of the metric ranks, ties broken by location score
+  const averageRank = (row) =>
+    RANKING_METRICS.reduce((sum, m) => sum + row.ranks[m.key], 0) /
+    RANKING_METRICS.length;
+  rows.sort(
+    (a, b) =>
+      averageRank(a) - averageRank(b) || b.locationScore - a.locationScore
+  );
+  rows.forEach((row, i) => {
+    row.overallRank = i + 1;
+  });
+
+  return rows;
+}
+
+/**
+ * Sorted copy of the ranking rows.
+ *
+ * @param {{key: string, dir: "asc"|"desc"}|null} sort - null = overall rank
+ */
+export function sortRanking(rows, sort) {
+  if (!sort) return [...rows].sort((a, b) => a.overallRank - b.overallRank);
+  const dir = sort.dir === "desc" ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    if (typeof x === "string" || typeof y === "string") {
+      return String(x ?? "").localeCompare(String(y ?? "")) * dir;
+    }
+    return ((x ?? -Infinity) - (y ?? -Infinity)) * dir;
+  });
+}
+
+// -------------------------------------------------------------
+// 4. Export
+// -------------------------------------------------------------
+
+/**
+ * Ranking as a table of plain values for CSV / XLSX: rates in percent,
+ * money and sizes rounded to 2 decimals.
+ *
+ * @returns {Array<Array>} header row followed by one row per PLZ
+ */
+export function rankingToRows(rows) {
+  const header = RANKING_COLUMNS.map((c) =>
+    c.type === "rate" ? `${c.label} (%)` : c.label
+  );
+  const body = rows.map((row) =>
+    RANKING_COLUMNS.map((c) => {
+      const value = row[c.key];
+      if (c.type === "text") return value ?? "";
+      if (value == null) return null;
+      const number = c.type === "rate" ? value * 100 : value;
+      return Math.round(number * 100) / 100;
+    })
+  );
+  return [header, ...body];
+}
+
+/**
+ * CSV of the ranking. German format: semicolon and decimal comma.
+ */
+export function rankingToCsv(rows, { germanFormat = true } = {}) {
+  const sep = germanFormat ? ";" : ",";
+  const cell = (value) => {
+    if (value == null) return "";
+    if (typeof value === "number") {
+      return germanFormat ? String(value).replace(".", ",") : String(value);
+    }
+    return value.includes(sep) || value.includes('"')
+      ? `"${value.replace(/"/g, '""')}"`
+      : value;
+  };
+  return rankingToRows(rows)
+    .map((r) => r.map(cell).join(sep))
+    .join("\n");
+}
@@ -1,14 +1,83 @@
 // main.js
-// UI: form -> 3 scenarios (base / optimistic / pessimistic) -> show active scenario
+// UI: form -> user-defined scenarios (overrides on the form inputs)
+//     -> show active scenario
 // + PLZ-based suggestions for rent, vacancy & rent growth
-// + Charts for the active scenario
-// + Print button.
+// + Charts and yearly cashflow table (CSV / XLSX) for the active scenario
+// + Deal library (localStorage) & portfolio view
+// + Shareable link (state in the URL hash)
+// + Investment memo (PDF).
 
 import { socioData } from "./socioData.js";
 import { simulateScenario } from "./model.js";
+import {
+  listNumericInputs,
+  getInputValue,
+  runSensitivity,
+  runTwoWayGrid,
+  SENSITIVITY_METRICS,
+  sweepExitYears,
+} from "./analysis.js";
+import { MONTE_CARLO_DRIVERS, runMonteCarlo } from "./monteCarlo.js";
+import {
+  applyScenario,
+  createScenarioId,
+  normalizeScenarios,
+  OVERRIDE_OPS,
+} from "./scenarios.js";
+import { createDealStore } from "./dealStore.js";
+import { runPortfolio } from "./portfolio.js";
+import { decodeUrlState, encodeUrlState } from "./urlState.js";
+import {
+  buildYearlyTable,
+  flattenInputs,
+  YEARLY_COLUMNS,
+  yearlyTableToCsv,
+} from "./yearlyTable.js";
+import { createInvestmentMemo } from "./report.js";
+import {
+  clearStoredSocioData,
+  importSocioData,
+  loadStoredSocioData,
+  recordsForPlz,
+  storeSocioData,
+} from "./socioImport.js";
+import {
+  describeBenchmark,
+  parsePlzQuery,
+  placeName,
+  resolveSocioBenchmark,
+  searchPlz,
+} from "./plzLookup.js";
+import { applySocioDefaults, socioSuggestions } from "./socioInsights.js";
+import {
+  RANKING_COLUMNS,
+  RANKING_METRICS,
+  rankingToCsv,
+  rankingToRows,
+  runLocationRanking,
+  sortRanking,
+} from "./locationRanking.js";
+import {
+  formatRentSteps,
+  formatYearAmounts,
+  parseRentSteps,
+  parseYearAmounts,
+} from "./rentPath.js";
+import { normalizeUnits, rentRollTotals } from "./rentRoll.js";
+import { OPERATING_COST_CATEGORIES } from "./operatingCosts.js";
+import { CAPEX_CATEGORIES } from "./capex.js";
+import {
+  formatAfaSchedule,
+  parseAfaSchedule,
+  resolveAfaModel,
+} from "./afa.js";
 
 console.log("App loaded.");
-console.log("socioData currently has", socioData.length, "entries.");
+
+// Imported dataset (all PLZ and years) or the built-in socioData
+let socioDataset = loadStoredSocioData();
+let socioRecords = socioDataset ? socioDataset.records : socioData;
+console.log("socioData currently has", socioRecords.length, "entries.");
 
 // ---------- Helpers ----------
 
@@ -23,7 +92,18 @@ function parseNumber(id, defaultValue = 0) {
 function parsePercent(id, defaultValue = 0) {
   // user enters e.g. 5 (%), we return 0.05
   const val = parseNumber(id, defaultValue);
-  return val / 100;
+  return val == null ? null : val / 100;
+}
+
+function parseMonth(id) {
+  // <input type="month"> value "YYYY-MM", or null when empty
+  const el = document.getElementById(id);
+  return el && el.value ? el.value : null;
+}
+
+function parseCheckbox(id) {
+  const el = document.getElementById(id);
+  return el ? el.checked : false;
 }
 
 function getSaleMode() {
@@ -35,7 +115,9 @@ function getSaleMode() {
 }
 
 function formatCurrency(amount) {
-  return amount.toLocaleString("de-DE", {
+  // Avoid "-0 €" for rounding residue
+  const value = Math.abs(amount) < 0.5 ? 0 : amount;
+  return value.toLocaleString("de-DE", {
     style: "currency",
     currency: "EUR",
     maximumFractionDigits: 0,
@@ -46,166 +128,818 @@ function formatPercent(value, decimals = 1) {
   return `${(value * 100).toFixed(decimals)} %`;
 }
 
-// ---------- Collect inputs from form ----------
+// User text (tranche and scenario names) inside innerHTML templates
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
-function collectInputsFromForm() {
-  const saleMode = getSaleMode();
-  const saleYear =
-    saleMode === "sell" ? parseNumber("saleYear", 15) : null;
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
-  return {
-    startYear: new Date().getFullYear(),
+// ---------- Loan tranches (financing form) ----------
+
+const DEFAULT_TRANCHE = {
+  name: "Bank loan",
+  type: "annuity",
+  amount: null, // empty = takes the rest of the financing need
+  share: null,
+  interestRate: 0.035,
+  termYears: 30,
+  graceYears: 0,
+  fixRateYears: 20,
+  followUpRate: 0.04,
+  followUpTermYears: 0,
+};
+
+// field, label, kind ("text" | "type" | "number" | "percent"), step
+const TRANCHE_FIELDS = [
+  ["name", "Name", "text"],
+  ["type", "Type", "type"],
+  ["amount", "Amount (€, empty = rest)", "number", 1000],
+  ["share", "or share of loan (%)", "percent", 1],
+  ["interestRate", "Interest rate (% p.a.)", "percent", 0.1],
+  ["termYears", "Term (years)", "number", 1],
+  ["graceYears", "Repayment-free years", "number", 1],
+  ["fixRateYears", "Fixed interest period (years)", "number", 1],
+  ["followUpRate", "Follow-up rate (% p.a.)", "percent", 0.1],
+  ["followUpTermYears", "Follow-up term (years, 0 = rest)", "number", 1],
+];
+
+const TRANCHE_TYPE_LABELS = {
+  annuity: "Annuity",
+  bullet: "Bullet (interest only)",
+  constantPrincipal: "Constant principal",
+};
 
-    buildingValue: parseNumber("buildingValue", 0),
-    landValue: parseNumber("landValue", 0),
+function renderTrancheRow(tranche = DEFAULT_TRANCHE) {
+  const list = document.getElementById("trancheList");
+  if (!list) return;
+
+  const card = document.createElement("div");
+  card.className = "tranche-card";
+
+  for (const [field, labelText, kind, step] of TRANCHE_FIELDS) {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+
+    let input;
+    if (kind === "type") {
+      input = document.createElement("select");
+      for (const [value, text] of Object.entries(TRANCHE_TYPE_LABELS)) {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = text;
+        input.appendChild(opt);
+      }
+      input.value = tranche.type || "annuity";
+    } else {
+      input = document.createElement("input");
+      input.type = kind === "text" ? "text" : "number";
+      if (step) input.step = String(step);
+      const value = tranche[field];
+      if (value != null) {
+        input.value =
+          kind === "percent" ? +(value * 100).toFixed(4) : String(value);
+      }
+    }
+    input.dataset.field = field;
+    input.dataset.kind = kind;
+    label.appendChild(input);
+    card.appendChild(label);
+  }
 
-    grEStRate: parsePercent("grEStRatePct", 5),
-    maklerRate: parsePercent("maklerRatePct", 3),
-    grundbuchRate: parsePercent("grundbuchRatePct", 0.5),
-    notaryRate: parsePercent("notaryRatePct", 1.5),
-    companyCost: parseNumber("companyCost", 0),
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "btn-secondary btn-remove";
+  removeBtn.textContent = "Remove tranche";
+  removeBtn.addEventListener("click", () => {
+    card.remove();
+  });
+  card.appendChild(removeBtn);
 
-    fittingUp: parseNumber("fittingUp", 0),
-    initialRepairs: parseNumber("initialRepairs", 0),
+  list.appendChild(card);
+}
 
-    buildingLossRate: parsePercent("buildingLossRatePct", 1),
-    landGrowthRate: parsePercent("landGrowthRatePct", 0.5),
-    constructionCostGrowth: parsePercent("constructionCostGrowthPct", 1.5),
+function readTranchesFromForm() {
+  const cards = document.querySelectorAll("#trancheList .tranche-card");
+  const tranches = [];
+
+  cards.forEach((card) => {
+    const tranche = {};
+    card.querySelectorAll("[data-field]").forEach((input) => {
+      const { field, kind } = input.dataset;
+      if (kind === "text" || kind === "type") {
+        tranche[field] = input.value;
+        return;
+      }
+      const raw = input.value.replace(",", ".").trim();
+      const num = raw === "" ? null : Number(raw);
+      if (num == null || !Number.isFinite(num)) {
+        tranche[field] = null;
+      } else {
+        tranche[field] = kind === "percent" ? num / 100 : num;
+      }
+    });
+    tranches.push(tranche);
+  });
 
-    annualMaintenance: parseNumber("annualMaintenance", 0),
-    maintenanceGrowth: parsePercent("maintenanceGrowthPct", 1.25),
+  return tranches;
+}
 
-    sqm: parseNumber("sqm", 0),
-    monthlyRent: parseNumber("monthlyRent", 0),
-    vacancyRate: parsePercent("vacancyRatePct", 5),
-    rentGrowth: parsePercent("rentGrowthPct", 1),
+function initTrancheList() {
+  renderTrancheRow(DEFAULT_TRANCHE);
+
+  const addBtn = document.getElementById("addTrancheBtn");
+  if (addBtn) {
+    addBtn.addEventListener("click", () => {
+      renderTrancheRow({
+        ...DEFAULT_TRANCHE,
+        name: "KfW loan",
+        amount: 0,
+        fixRateYears: 10,
+      });
+    });
+  }
+}
 
-    incomeTaxRate: parsePercent("incomeTaxRatePct", 30),
+// ---------- Rent roll (units of a multi-family building) ----------
 
-    equity: parseNumber("equity", 0),
-    loanTermYears1: parseNumber("loanTermYears1", 30),
-    fixRateYears1: parseNumber("fixRateYears1", 20),
-    interestRate1: parsePercent("interestRate1Pct", 3.5),
-    discountRate: parsePercent("discountRatePct", 0),
+const DEFAULT_UNIT = {
+  name: "",
+  sqm: null,
+  monthlyRent: null,
+  marketRent: null, // empty = current rent is at market level
+  leaseStart: null,
+  turnoverRate: 0.1,
+};
 
-    loanTermYears2: parseNumber("loanTermYears2", 10),
-    interestRate2: parsePercent("interestRate2Pct", 4),
+// field, kind ("text" | "number" | "percent" | "month"), step
+const UNIT_FIELDS = [
+  ["name", "text"],
+  ["sqm", "number", 1],
+  ["monthlyRent", "number", 10],
+  ["marketRent", "number", 10],
+  ["leaseStart", "month"],
+  ["turnoverRate", "percent", 1],
+];
+
+// Fields of the single flat that the units replace
+const SINGLE_RENT_FIELDS = ["monthlyRent", "sqm", "vacancyRatePct"];
+
+function renderUnitRow(unit = DEFAULT_UNIT) {
+  const body = document.getElementById("unitTableBody");
+  if (!body) return;
+
+  const row = document.createElement("tr");
+  for (const [field, kind, step] of UNIT_FIELDS) {
+    const cell = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = kind === "percent" ? "number" : kind;
+    if (step) input.step = String(step);
+    const value = unit[field];
+    if (value != null) {
+      input.value =
+        kind === "percent" ? +(value * 100).toFixed(4) : String(value);
+    }
+    input.dataset.field = field;
+    input.dataset.kind = kind;
+    input.addEventListener("input", updateRentRollMode);
+    cell.appendChild(input);
+    row.appendChild(cell);
+  }
 
-    sellingCostRate: parsePercent("sellingCostRatePct", 3),
-    saleMode,
-    saleYear,
+  const removeCell = document.createElement("td");
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "btn-secondary btn-remove";
+  removeBtn.textContent = "×";
+  removeBtn.title = "Remove unit";
+  removeBtn.addEventListener("click", () => {
+    row.remove();
+    updateRentRollMode();
+  });
+  removeCell.appendChild(removeBtn);
+  row.appendChild(removeCell);
+
+  body.appendChild(row);
+}
+
+// One object per table row from its [data-field] inputs; empty or
+// invalid numbers become null
+function readTableRows(bodyId) {
+  const rows = document.querySelectorAll(`#${bodyId} tr`);
+  return [...rows].map((row) => {
+    const item = {};
+    row.querySelectorAll("[data-field]").forEach((input) => {
+      const { field, kind } = input.dataset;
+      if (kind === "text" || kind === "month" || kind === "select") {
+        item[field] = input.value.trim() || null;
+        return;
+      }
+      const raw = input.value.replace(",", ".").trim();
+      const num = raw === "" ? null : Number(raw);
+      if (num == null || !Number.isFinite(num)) {
+        item[field] = null;
+      } else {
+        item[field] = kind === "percent" ? num / 100 : num;
+      }
+    });
+    return item;
+  });
+}
+
+function readUnitsFromForm() {
+  return readTableRows("unitTableBody");
+}
+
+// With units, rent and size of the single flat show the unit totals and
+// are locked; vacancy comes from the re-lets
+function updateRentRollMode() {
+  const units = normalizeUnits(readUnitsFromForm());
+  const hasUnits = units.length > 0;
+
+  for (const id of SINGLE_RENT_FIELDS) {
+    const el = document.getElementById(id);
+    if (el) el.disabled = hasUnits;
+  }
+
+  const totalsEl = document.getElementById("unitTotals");
+  if (!hasUnits) {
+    if (totalsEl) totalsEl.textContent = "";
+    return;
+  }
+
+  const totals = rentRollTotals(units);
+  document.getElementById("monthlyRent").value = String(
+    Math.round(totals.monthlyRent)
+  );
+  document.getElementById("sqm").value = String(totals.sqm);
+  if (totalsEl) {
+    totalsEl.textContent =
+      `${units.length} units, ${totals.sqm.toLocaleString("de-DE")} m², ` +
+      `rent ${formatCurrency(totals.monthlyRent)} / month, market rent ` +
+      `${formatCurrency(totals.marketRent)} / month.`;
+  }
+}
+
+function initRentRoll() {
+  document.getElementById("addUnitBtn")?.addEventListener("click", () => {
+    const count = document.querySelectorAll("#unitTableBody tr").length;
+    renderUnitRow({ ...DEFAULT_UNIT, name: `Unit ${count + 1}` });
+    updateRentRollMode();
+  });
+}
+
+// ---------- CapEx events ----------
+
+const DEFAULT_CAPEX_EVENT = {
+  name: "",
+  year: null,
+  amount: null,
+  category: "repair",
+};
+
+function renderCapexRow(event = DEFAULT_CAPEX_EVENT) {
+  const body = document.getElementById("capexTableBody");
+  if (!body) return;
+
+  const row = document.createElement("tr");
+  const fields = [
+    ["name", "text"],
+    ["year", "number", 1],
+    ["amount", "number", 500],
+    ["category", "select"],
+  ];
+  for (const [field, kind, step] of fields) {
+    const cell = document.createElement("td");
+    let input;
+    if (kind === "select") {
+      input = document.createElement("select");
+      for (const { key, label } of CAPEX_CATEGORIES) {
+        const opt = document.createElement("option");
+        opt.value = key;
+        opt.textContent = label;
+        input.appendChild(opt);
+      }
+      input.value = event.category || "repair";
+    } else {
+      input = document.createElement("input");
+      input.type = kind;
+      if (step) input.step = String(step);
+      if (event[field] != null) input.value = String(event[field]);
+    }
+    input.dataset.field = field;
+    input.dataset.kind = kind;
+    cell.appendChild(input);
+    row.appendChild(cell);
+  }
+
+  const removeCell = document.createElement("td");
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "btn-secondary btn-remove";
+  removeBtn.textContent = "×";
+  removeBtn.title = "Remove event";
+  removeBtn.addEventListener("click", () => row.remove());
+  removeCell.appendChild(removeBtn);
+  row.appendChild(removeCell);
+
+  body.appendChild(row);
+}
+
+function initCapexEvents() {
+  document.getElementById("addCapexBtn")?.addEventListener("click", () => {
+    renderCapexRow();
+  });
+}
+
+// ---------- Collect inputs from form ----------
+
+// Plain form fields: [input key, element id, kind, default]
+// kind: "number", "percent" (form in %, model decimal), "checkbox",
+// "month" ("YYYY-MM" or null) or "select"; default null = may be left
+// empty, the value then comes from the location data or the model
+const FORM_FIELDS = [
+  ["purchaseDate", "purchaseDate", "month"],
+
+  ["buildingValue", "buildingValue", "number", 0],
+  ["landValue", "landValue", "number", 0],
+
+  ["grEStRate", "grEStRatePct", "percent", 5],
+  ["maklerRate", "maklerRatePct", "percent", 3],
+  ["grundbuchRate", "grundbuchRatePct", "percent", 0.5],
+  ["notaryRate", "notaryRatePct", "percent", 1.5],
+  ["companyCost", "companyCost", "number", 0],
+
+  ["fittingUp", "fittingUp", "number", 0],
+  ["initialRepairs", "initialRepairs", "number", 0],
+
+  ["buildingLossRate", "buildingLossRatePct", "percent", 1],
+  ["landGrowthRate", "landGrowthRatePct", "percent", null],
+  ["constructionCostGrowth", "constructionCostGrowthPct", "percent", 1.5],
+
+  ["hausgeldRecoverable", "hausgeldRecoverable", "number", 0],
+  ["hausgeldNonRecoverable", "hausgeldNonRecoverable", "number", 0],
+  ["hausgeldReserve", "hausgeldReserve", "number", 0],
+  ["propertyTax", "propertyTax", "number", 0],
+  ["insurance", "insurance", "number", 0],
+  ["managementFee", "managementFee", "number", 0],
+  ["annualMaintenance", "annualMaintenance", "number", 0],
+  ["maintenanceGrowth", "maintenanceGrowthPct", "percent", 1.25],
+  ["reserveBalanceStart", "reserveBalanceStart", "number", 0],
+  ["reserveUsageRate", "reserveUsageRatePct", "percent", 10],
+
+  ["sqm", "sqm", "number", 0],
+  ["monthlyRent", "monthlyRent", "number", null],
+  ["vacancyRate", "vacancyRatePct", "percent", null],
+  ["rentGrowth", "rentGrowthPct", "percent", null],
+  ["reletVacancyMonths", "reletVacancyMonths", "number", 3],
+  ["reletCostPerSqm", "reletCostPerSqm", "number", 0],
+
+  ["leaseType", "leaseType", "select", "standard"],
+  ["cpiGrowth", "cpiGrowthPct", "percent", 2],
+  ["referenceRentPerSqm", "referenceRentPerSqm", "number", null],
+  ["referenceRentGrowth", "referenceRentGrowthPct", "percent", null],
+  ["tightMarket", "tightMarket", "checkbox"],
+  ["newLease", "newLease", "checkbox"],
+  ["enforceRentCaps", "enforceRentCaps", "checkbox"],
+
+  ["holdingStructure", "holdingStructure", "select", "private"],
+  ["taxMode", "taxMode", "select", "flat"],
+  ["incomeTaxRate", "incomeTaxRatePct", "percent", 30],
+  ["otherTaxableIncome", "otherTaxableIncome", "number", 0],
+  ["churchTax", "churchTax", "checkbox"],
+  ["churchTaxRate", "churchTaxRatePct", "percent", 9],
+
+  ["corporateTaxRate", "corporateTaxRatePct", "percent", 15.825],
+  ["extendedTradeTaxDeduction", "extendedTradeTaxDeduction", "checkbox"],
+  ["tradeTaxRate", "tradeTaxRatePct", "percent", 14],
+  ["dividendPayoutRate", "dividendPayoutRatePct", "percent", 0],
+  ["dividendTaxRate", "dividendTaxRatePct", "percent", 26.375],
+
+  ["equity", "equity", "number", 0],
+  ["discountRate", "discountRatePct", "percent", 0],
+
+  ["specialRepaymentMode", "specialRepaymentMode", "select", "none"],
+  ["specialRepaymentAmount", "specialRepaymentAmount", "number", 0],
+  ["specialRepaymentSweepRate", "specialRepaymentSweepPct", "percent", 50],
+  ["specialRepaymentCapRate", "specialRepaymentCapPct", "percent", 5],
+
+  ["sellingCostRate", "sellingCostRatePct", "percent", 3],
+  ["investmentHorizonYears", "investmentHorizonYears", "number", 30],
+
+  ["altReturnBeforeTax", "altReturnBeforeTaxPct", "percent", 6],
+  ["altTaxRate", "altTaxRatePct", "percent", 26],
+  ["npvDiscountRate", "npvDiscountRatePct", "percent", 5],
+
+  ["afaModel", "afaModel", "select", "Linear 2%"],
+  ["buildingLifetimeYears", "buildingLifetimeYears", "number", 50],
+  ["buildingPermitDate", "buildingPermitDate", "month"],
+  ["efficiencyHouse40", "efficiencyHouse40", "checkbox"],
+  ["specialAfaCost", "specialAfaCost", "number", 0],
+  ["specialAfaCertified", "specialAfaCertified", "checkbox"],
+  ["builtBefore1925", "builtBefore1925", "checkbox"],
+];
+
+function readFormField(id, kind, defaultValue) {
+  const el = document.getElementById(id);
+  if (defaultValue === null && el && el.value.trim() === "") return null;
+
+  switch (kind) {
+    case "percent":
+      return parsePercent(id, defaultValue);
+    case "checkbox":
+      return parseCheckbox(id);
+    case "month":
+      return parseMonth(id);
+    case "select":
+      return document.getElementById(id)?.value || defaultValue;
+    default:
+      return parseNumber(id, defaultValue);
+  }
+}
+
+function writeFormField(id, kind, value) {
+  const el = document.getElementById(id);
+  if (!el || value === undefined) return;
+
+  if (kind === "checkbox") {
+    el.checked = Boolean(value);
+  } else if (kind === "percent") {
+    el.value = value == null ? "" : String(+(value * 100).toFixed(4));
+  } else {
+    el.value = value == null ? "" : String(value);
+  }
+}
+
+// An unknown AfA model (older deal, shared link) stays selected as an extra
+// option, so that the model reports it instead of the select silently
+// falling back to the first model
+function writeAfaModel(afaModel) {
+  const select = document.getElementById("afaModel");
+  if (!select) return;
+  select.querySelectorAll("option[data-unknown]").forEach((o) => o.remove());
+  if (afaModel == null || afaModel === "") return;
+
+  const model = resolveAfaModel(afaModel);
+  if (!model) {
+    const option = document.createElement("option");
+    option.value = String(afaModel);
+    option.textContent = `${option.value} (unknown)`;
+    option.dataset.unknown = "true";
+    select.appendChild(option);
+  }
+  select.value = model ?? String(afaModel);
+}
 
-    investmentHorizonYears: parseNumber("investmentHorizonYears", 30),
+function collectInputsFromForm() {
+  const inputs = { startYear: new Date().getFullYear() };
+  for (const [key, id, kind, defaultValue] of FORM_FIELDS) {
+    inputs[key] = readFormField(id, kind, defaultValue);
+  }
 
-    altReturnBeforeTax: parsePercent("altReturnBeforeTaxPct", 6),
-    altTaxRate: parsePercent("altTaxRatePct", 26),
+  // With units, the locked rent field shows their rounded total; the
+  // model needs it exact, and the vacancy of the single flat does not apply
+  const units = normalizeUnits(readUnitsFromForm());
+  if (units.length > 0) {
+    inputs.monthlyRent = rentRollTotals(units).monthlyRent;
+    inputs.vacancyRate = 0;
+  }
 
-    afaModel: document.getElementById("afaModel").value,
-    buildingLifetimeYears: parseNumber("buildingLifetimeYears", 50),
+  const saleMode = getSaleMode();
+  return {
+    ...inputs,
+    jointAssessment:
+      document.getElementById("filingStatus")?.value === "joint",
+    rentSteps: parseRentSteps(document.getElementById("rentSteps")?.value),
+    afaSchedule: parseAfaSchedule(
+      document.getElementById("afaSchedule")?.value
+    ),
+    rentRoll: readUnitsFromForm(),
+    capexEvents: readTableRows("capexTableBody"),
+    specialLevies: parseYearAmounts(
+      document.getElementById("specialLevies")?.value
+    ),
+    loans: readTranchesFromForm(),
+    saleMode,
+    saleYear: saleMode === "sell" ? parseNumber("saleYear", 15) : null,
+    saleDate: saleMode === "sell" ? parseMonth("saleDate") : null,
   };
 }
 
-// ---------- Scenario building ----------
+/**
+ * Write a set of model inputs back into the form (counterpart of
+ * collectInputsFromForm, used when loading a saved deal).
+ */
+function applyInputsToForm(inputs = {}) {
+  for (const [key, id, kind] of FORM_FIELDS) {
+    writeFormField(id, kind, inputs[key]);
+  }
+
+  const filingStatus = document.getElementById("filingStatus");
+  if (filingStatus) {
+    filingStatus.value = inputs.jointAssessment ? "joint" : "single";
+  }
+  if (Array.isArray(inputs.rentSteps)) {
+    writeFormField("rentSteps", "text", formatRentSteps(inputs.rentSteps));
+  }
+  if (inputs.afaModel !== undefined) writeAfaModel(inputs.afaModel);
+  if (Array.isArray(inputs.afaSchedule)) {
+    writeFormField(
+      "afaSchedule",
+      "text",
+      formatAfaSchedule(inputs.afaSchedule)
+    );
+  }
+  if (Array.isArray(inputs.specialLevies)) {
+    writeFormField(
+      "specialLevies",
+      "text",
+      formatYearAmounts(inputs.specialLevies)
+    );
+  }
+
+  const capexBody = document.getElementById("capexTableBody");
+  if (capexBody) {
+    capexBody.innerHTML = "";
+    (inputs.capexEvents || []).forEach((event) => renderCapexRow(event));
+  }
 
-function buildScenarioInputs(baseInputs, variant) {
-  const copy = { ...baseInputs };
+  const unitBody = document.getElementById("unitTableBody");
+  if (unitBody) {
+    unitBody.innerHTML = "";
+    (inputs.rentRoll || []).forEach((unit) => renderUnitRow(unit));
+    updateRentRollMode();
+  }
 
-  const rent = baseInputs.monthlyRent;
-  const rentGrowth = baseInputs.rentGrowth;
-  const vac = baseInputs.vacancyRate;
+  const saleMode = inputs.saleMode === "sell" ? "sell" : "hold";
+  document.querySelectorAll('input[name="saleMode"]').forEach((r) => {
+    r.checked = r.value === saleMode;
+  });
+  if (inputs.saleYear != null) {
+    writeFormField("saleYear", "number", inputs.saleYear);
+  }
+  writeFormField("saleDate", "month", inputs.saleDate || null);
 
-  if (variant === "opt") {
-    copy.monthlyRent = rent * 1.05; // +5 %
-    copy.rentGrowth = rentGrowth + 0.005; // +0.5 pp
-    copy.vacancyRate = Math.max(0, vac - 0.02); // -2 pp
-  } else if (variant === "pes") {
-    copy.monthlyRent = rent * 0.95; // -5 %
-    copy.rentGrowth = Math.max(0, rentGrowth - 0.005); // -0.5 pp
-    copy.vacancyRate = vac + 0.02; // +2 pp
+  const list = document.getElementById("trancheList");
+  if (list && Array.isArray(inputs.loans)) {
+    list.innerHTML = "";
+    inputs.loans.forEach((tranche) => renderTrancheRow(tranche));
   }
-  return copy;
 }
 
-// ---------- Socio / PLZ helpers ----------
+// ---------- Scenario definitions ----------
 
-function getSelectedPlzRecord() {
-  const select = document.getElementById("plzSelect");
-  if (!select) return null;
-  const value = select.value;
-  if (!value) return null;
-  return socioData.find((r) => r.plz === value) || null;
+// Named scenarios with their overrides (see scenarios.js); the first one
+// is always the unchanged base
+let scenarioDefinitions = normalizeScenarios(null);
+
+function getScenarioDefinition(id) {
+  return scenarioDefinitions.find((s) => s.id === id) || null;
 }
 
-function buildSocioSuggestions() {
-  const rec = getSelectedPlzRecord();
-  if (!rec) return null;
+function getScenarioName(id) {
+  return getScenarioDefinition(id)?.name || id;
+}
 
-  const sqm = parseNumber("sqm", 0);
-  const buildingValue = parseNumber("buildingValue", 0);
-  const landValue = parseNumber("landValue", 0);
-  const totalPrice = buildingValue + landValue;
+function renderScenarioTabs() {
+  const container = document.getElementById("scenarioTabs");
+  if (!container) return;
 
-  const {
-    population,
-    population_growth_pct,
-    median_net_income_eur,
-    unemployment_rate_pct,
-    avg_rent_eur_m2,
-    new_construction_units_per_1000_residents,
-    vacancy_rate_pct,
-    avg_purchase_price_eur_m2,
-  } = rec;
+  container.innerHTML = "";
+  for (const scenario of scenarioDefinitions) {
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.className = "scenario-tab";
+    tab.dataset.scenario = scenario.id;
+    tab.textContent = scenario.name;
+    tab.classList.toggle("active", scenario.id === activeScenario);
+    tab.addEventListener("click", () => {
+      activeScenario = scenario.id;
+      renderScenario(activeScenario);
+      renderScenarioEditor();
+      updateUrlHash();
+    });
+    container.appendChild(tab);
+  }
+}
 
-  const suggestedMonthlyRent =
-    sqm > 0 ? avg_rent_eur_m2 * sqm : null;
+// Rates and relative changes are edited in %, everything else as is
+function overrideDisplayFactor(override) {
+  return override.op === "relative" || isRatePath(override.path) ? 100 : 1;
+}
 
-  // Base rent growth 1 % p.a., adjust with simple heuristics
-  let rentGrowth = 0.01;
+function overrideUnit(override) {
+  if (override.op === "relative") return "%";
+  if (isRatePath(override.path)) return override.op === "add" ? "pp" : "%";
+  return "";
+}
 
-  if (population_growth_pct > 1.5) rentGrowth += 0.005;
-  else if (population_growth_pct < 0) rentGrowth -= 0.003;
+function renderScenarioEditor() {
+  const tbody = document.getElementById("scenarioOverrides");
+  const hint = document.getElementById("scenarioEditorHint");
+  if (!tbody) return;
+
+  const scenario = getScenarioDefinition(activeScenario);
+  const isBase = !scenario || scenario.id === "base";
+
+  const editButtons = [
+    "scenarioRenameBtn",
+    "scenarioDeleteBtn",
+    "addOverrideBtn",
+  ];
+  for (const id of editButtons) {
+    const el = document.getElementById(id);
+    if (el) el.disabled = isBase;
+  }
+  if (hint) {
+    hint.textContent = isBase
+      ? "The base scenario uses the form inputs unchanged. " +
+        "Create or duplicate a scenario to add overrides."
+      : `Overrides of "${scenario.name}", applied in order to the form inputs.`;
+  }
 
-  if (vacancy_rate_pct < 2) rentGrowth += 0.003;
-  if (new_construction_units_per_1000_residents > 5) rentGrowth -= 0.003;
+  tbody.innerHTML = "";
+  if (isBase) return;
 
-  if (rentGrowth < 0) rentGrowth = 0;
+  const baseInputs = scenarioResults.base?.inputs || collectInputsFromForm();
+  const paths = listNumericInputs(baseInputs);
 
-  const suggestedVacancyRate = vacancy_rate_pct / 100;
+  scenario.overrides.forEach((override, index) => {
+    const tr = document.createElement("tr");
 
-  const benchmarkPricePerM2 = avg_purchase_price_eur_m2;
-  const benchmarkTotalPrice =
-    sqm > 0 ? benchmarkPricePerM2 * sqm : null;
+    const pathSelect = document.createElement("select");
+    fillSelect(
+      pathSelect,
+      paths.map((path) => [path, describeInputPath(path)]),
+      override.path
+    );
+    pathSelect.addEventListener("change", () => {
+      // A clamp belongs to the old input
+      scenario.overrides[index] = {
+        path: pathSelect.value,
+        op: override.op,
+        value: override.value,
+      };
+      recalcAllScenarios();
+    });
 
-  let priceComment = "";
-  let priceBadge = "neutral";
+    const opSelect = document.createElement("select");
+    fillSelect(
+      opSelect,
+      Object.entries(OVERRIDE_OPS).map(([op, o]) => [op, o.label]),
+      override.op
+    );
+    opSelect.addEventListener("change", () => {
+      override.op = opSelect.value;
+      recalcAllScenarios();
+    });
 
-  if (benchmarkTotalPrice && totalPrice > 0) {
-    const diff = totalPrice - benchmarkTotalPrice;
-    const diffPct = diff / benchmarkTotalPrice;
+    const valueInput = document.createElement("input");
+    valueInput.type = "number";
+    valueInput.step = "any";
+    const factor = overrideDisplayFactor(override);
+    valueInput.value = +(override.value * factor).toFixed(4);
+    valueInput.addEventListener("change", () => {
+      const v = parseFloat(valueInput.value);
+      override.value = Number.isNaN(v) ? 0 : v / factor;
+      recalcAllScenarios();
+    });
 
-    if (diffPct < -0.1) {
-      priceComment = "Below benchmark price level.";
-      priceBadge = "good";
-    } else if (Math.abs(diffPct) <= 0.1) {
-      priceComment = "Around benchmark price level.";
-      priceBadge = "neutral";
-    } else {
-      priceComment = "Above benchmark price level.";
-      priceBadge = "bad";
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn-secondary btn-remove";
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => {
+      scenario.overrides.splice(index, 1);
+      recalcAllScenarios();
+    });
+
+    const unit = document.createElement("span");
+    unit.textContent = overrideUnit(override);
+
+    for (const el of [pathSelect, opSelect, valueInput, unit, removeBtn]) {
+      const td = document.createElement("td");
+      td.appendChild(el);
+      tr.appendChild(td);
     }
-  }
+    tbody.appendChild(tr);
+  });
+}
+
+function addScenario(name, overrides = []) {
+  const id = createScenarioId(scenarioDefinitions);
+  scenarioDefinitions.push({
+    id,
+    name,
+    overrides: overrides.map((o) => ({ ...o })),
+  });
+  activeScenario = id;
+  recalcAllScenarios();
+}
+
+function initScenarioEditor() {
+  document.getElementById("scenarioNewBtn")?.addEventListener("click", () => {
+    const name = window.prompt("Name of the new scenario:", "New scenario");
+    if (name) addScenario(name.trim());
+  });
+
+  document
+    .getElementById("scenarioDuplicateBtn")
+    ?.addEventListener("click", () => {
+      const scenario = getScenarioDefinition(activeScenario);
+      if (!scenario) return;
+      addScenario(`${scenario.name} (copy)`, scenario.overrides);
+    });
+
+  document
+    .getElementById("scenarioRenameBtn")
+    ?.addEventListener("click", () => {
+      const scenario = getScenarioDefinition(activeScenario);
+      if (!scenario || scenario.id === "base") return;
+      const name = window.prompt("New name:", scenario.name);
+      if (!name) return;
+      scenario.name = name.trim();
+      renderScenarioTabs();
+      renderScenario(activeScenario);
+      renderScenarioEditor();
+    });
+
+  document
+    .getElementById("scenarioDeleteBtn")
+    ?.addEventListener("click", () => {
+      const scenario = getScenarioDefinition(activeScenario);
+      if (!scenario || scenario.id === "base") return;
+      if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+      scenarioDefinitions = scenarioDefinitions.filter(
+        (s) => s !== scenario
+      );
+      activeScenario = "base";
+      recalcAllScenarios();
+    });
+
+  document.getElementById("addOverrideBtn")?.addEventListener("click", () => {
+    const scenario = getScenarioDefinition(activeScenario);
+    if (!scenario || scenario.id === "base") return;
+    scenario.overrides.push({ path: "monthlyRent", op: "relative", value: 0 });
+    recalcAllScenarios();
+  });
+}
+
+// ---------- Socio / PLZ helpers ----------
+
+// 5-digit PLZ typed or picked in the search field, "" if none
+function getSelectedPlz() {
+  const input = document.getElementById("plzSearch");
+  return input ? parsePlzQuery(input.value) : "";
+}
+
+function setSelectedPlz(plz) {
+  const input = document.getElementById("plzSearch");
+  if (!input) return;
+  const place = plz ? placeName(plz) : "";
+  input.value = place ? `${plz} ${place}` : plz || "";
+}
+
+// Exact record of the PLZ or one derived from its surroundings
+function getSelectedBenchmark() {
+  return resolveSocioBenchmark(getSelectedPlz(), socioRecords);
+}
+
+function getSelectedPlzRecord() {
+  return getSelectedBenchmark()?.record || null;
+}
+
+function buildSocioSuggestions() {
+  const benchmark = getSelectedBenchmark();
+  if (!benchmark) return null;
+  const rec = benchmark.record;
+
+  const sqm = parseNumber("sqm", 0);
+  const buildingValue = parseNumber("buildingValue", 0);
+  const landValue = parseNumber("landValue", 0);
+  const totalPrice = buildingValue + landValue;
 
   return {
     rec,
+    benchmark,
     sqm,
     totalPrice,
-    suggestedMonthlyRent,
-    suggestedVacancyRate,
-    rentGrowth,
-    benchmarkPricePerM2,
-    benchmarkTotalPrice,
-    priceComment,
-    priceBadge,
+    ...socioSuggestions(rec, { sqm, purchasePrice: totalPrice }),
   };
 }
 
@@ -214,12 +948,32 @@ function updatePlzSummary() {
   if (!container) return;
 
   const s = buildSocioSuggestions();
+  updateSocioPlaceholders(s);
   if (!s) {
-    container.innerHTML = "<em>No PLZ selected yet.</em>";
+    const plz = getSelectedPlz();
+    container.innerHTML = plz
+      ? `<em>No socio data for PLZ ${plz} or its region.</em>`
+      : "<em>No PLZ selected yet.</em>";
     return;
   }
 
   const r = s.rec;
+  const place = placeName(r.plz);
+  const matchBadge =
+    s.benchmark.method === "exact"
+      ? "badge badge-good"
+      : s.benchmark.method === "prefix2"
+      ? "badge badge-bad"
+      : "badge badge-neutral";
+  const matchLabel =
+    s.benchmark.method === "exact"
+      ? "exact"
+      : s.benchmark.method === "prefix2"
+      ? "rough estimate"
+      : "derived";
+  // Trend only for data of a single PLZ, not for averages
+  const trendPlz =
+    s.benchmark.sources.length === 1 ? s.benchmark.sources[0].plz : null;
 
   const badgeClass =
     s.priceBadge === "good"
@@ -229,7 +983,11 @@ function updatePlzSummary() {
       : "badge badge-neutral";
 
   container.innerHTML = `
-    <p><span class="highlight">PLZ ${r.plz}</span> – year ${r.year}</p>
+    <p><span class="highlight">PLZ ${r.plz}${
+      place ? ` ${place}` : ""
+    }</span> – year ${r.year}
+      <span class="${matchBadge}">${matchLabel}</span></p>
+    <p class="plz-benchmark-source">${describeBenchmark(s.benchmark)}</p>
     <p>Population: ${r.population.toLocaleString("de-DE")} (growth: ${r.population_growth_pct.toFixed(
       2
     )} % p.a.)</p>
@@ -242,6 +1000,7 @@ function updatePlzSummary() {
     1
   )} / 1,000 residents</p>
     <p>Vacancy rate: ${r.vacancy_rate_pct.toFixed(1)} %</p>
+    ${trendPlz ? buildPlzTrendHtml(trendPlz) : ""}
     ${
       s.benchmarkTotalPrice
         ? `<p>Benchmark purchase price: <span class="highlight">${formatCurrency(
@@ -266,8 +1025,63 @@ function updatePlzSummary() {
         : ""
     }
     <p style="margin-top:4px;color:#6b7280;font-size:0.8rem;">
-      Use the button above to apply suggested rent, vacancy & rent growth to your inputs.
+      Empty rent, vacancy and growth fields use these values. The button
+      above copies them into the inputs.
+    </p>
+  `;
+}
+
+// Development over the years of the dataset; empty for a single year
+function buildPlzTrendHtml(plz) {
+  const timeline = recordsForPlz(socioRecords, plz);
+  if (timeline.length < 2) return "";
+
+  const first = timeline[0];
+  const last = timeline[timeline.length - 1];
+  const span = last.year - first.year;
+  const rentCagr =
+    span > 0 && first.avg_rent_eur_m2 > 0
+      ? Math.pow(last.avg_rent_eur_m2 / first.avg_rent_eur_m2, 1 / span) - 1
+      : null;
+  const populationChange =
+    first.population > 0 ? last.population / first.population - 1 : null;
+
+  const rows = timeline
+    .map(
+      (h) => `<tr>
+        <td>${h.year}</td>
+        <td>${h.avg_rent_eur_m2.toFixed(2)}</td>
+        <td>${h.population.toLocaleString("de-DE")}</td>
+        <td>${formatCurrency(h.avg_purchase_price_eur_m2)}</td>
+        <td>${h.vacancy_rate_pct.toFixed(1)} %</td>
+      </tr>`
+    )
+    .join("");
+
+  return `
+    <p class="section-title">Trend ${first.year}–${last.year}</p>
+    <p>
+      Rent: ${
+        rentCagr != null ? `${(rentCagr * 100).toFixed(2)} % p.a.` : "–"
+      } &nbsp; Population: ${
+    populationChange != null
+      ? `${populationChange >= 0 ? "+" : ""}${(populationChange * 100).toFixed(
+          1
+        )} %`
+      : "–"
+  }
     </p>
+    <div class="table-wrap">
+      <table class="data-table plz-trend">
+        <thead>
+          <tr>
+            <th>Year</th><th>Rent €/m²</th><th>Population</th>
+            <th>Price /m²</th><th>Vacancy</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
   `;
 }
 
@@ -290,22 +1104,58 @@ function applySocioToInputs() {
     growthField.value = (s.rentGrowth * 100).toFixed(2);
   }
 
+  if (s.landGrowth != null) {
+    const landField = document.getElementById("landGrowthRatePct");
+    landField.value = (s.landGrowth * 100).toFixed(2);
+  }
+
   updatePlzSummary();
 }
 
+// Empty rent / vacancy / growth fields are filled from the location data
+// by the model; show those values as placeholders
+function updateSocioPlaceholders(s) {
+  const values = {
+    monthlyRent:
+      s?.suggestedMonthlyRent != null
+        ? String(Math.round(s.suggestedMonthlyRent))
+        : "",
+    vacancyRatePct: s ? (s.suggestedVacancyRate * 100).toFixed(1) : "",
+    rentGrowthPct: s ? (s.rentGrowth * 100).toFixed(2) : "",
+    landGrowthRatePct: s ? (s.landGrowth * 100).toFixed(2) : "",
+    referenceRentPerSqm: s ? s.suggestedRentPerSqm.toFixed(2) : "",
+  };
+  for (const [id, value] of Object.entries(values)) {
+    const el = document.getElementById(id);
+    if (el) el.placeholder = value ? `PLZ: ${value}` : "";
+  }
+}
+
 // ---------- Scenario state & rendering ----------
 
-let scenarioResults = {
-  base: null,
-  opt: null,
-  pes: null,
-};
+// Scenario id -> { inputs, result }
+let scenarioResults = {};
 let activeScenario = "base";
+// Form values before the location defaults, for deals and links (an empty
+// field stays empty); inputs filled from the location data
+let baseFormInputs = null;
+let socioDefaultsApplied = [];
 
 // Chart instances (global Chart object from CDN)
 let cashflowChart = null;
 let equityChart = null;
 let propDebtChart = null;
+let costChart = null;
+let exitChart = null;
+let mcEquityHistChart = null;
+let mcIrrHistChart = null;
+let tornadoChart = null;
+let portfolioCashflowChart = null;
+let portfolioDebtChart = null;
+
+// Last Monte Carlo run: { scenario, result }; cleared on every recalculation
+let monteCarloState = null;
+let monteCarloWorker = null;
 
 function renderScenario(key) {
   const labelEl = document.getElementById("activeScenarioLabel");
@@ -317,15 +1167,13 @@ function renderScenario(key) {
     if (labelEl) labelEl.textContent = "–";
     kpiDiv.innerHTML = "<p>No result.</p>";
     rawPre.textContent = "";
+    renderResultWarnings(null);
     updateCharts(null);
     return;
   }
 
   activeScenario = key;
-  if (labelEl) {
-    labelEl.textContent =
-      key === "base" ? "Base" : key === "opt" ? "Optimistic" : "Pessimistic";
-  }
+  if (labelEl) labelEl.textContent = getScenarioName(key);
 
   // Highlight active tab
   const tabs = document.querySelectorAll(".scenario-tab");
@@ -336,7 +1184,22 @@ function renderScenario(key) {
     );
   });
 
+  // An error (e.g. an unknown AfA model) makes the figures invalid: show
+  // the errors only
+  if (hasResultErrors(data.result)) {
+    kpiDiv.innerHTML =
+      "<p>No valid result: correct the inputs listed below.</p>";
+    rawPre.textContent = "";
+    renderResultWarnings(data.result);
+    updateCharts(null);
+    renderYearlyTable();
+    updateExitSweep();
+    return;
+  }
+
   const k = data.result.kpis;
+  const meta = data.result.meta;
+  const refinancings = meta.refinancings || [];
 
   kpiDiv.innerHTML = `
     <div class="kpi-row">
@@ -347,6 +1210,27 @@ function renderScenario(key) {
       <span class="kpi-label">Annualized ROE:</span>
       <span class="kpi-value">${formatPercent(k.roeAnnualized, 2)}</span>
     </div>
+    <div class="kpi-row">
+      <span class="kpi-label">Equity IRR / XIRR:</span>
+      <span class="kpi-value">${
+        k.irr != null ? formatPercent(k.irr, 2) : "n/a"
+      } / ${k.xirr != null ? formatPercent(k.xirr, 2) : "n/a"}</span>
+    </div>
+    <div class="kpi-row">
+      <span class="kpi-label">NPV at ${formatPercent(
+        k.npvDiscountRate,
+        1
+      )}:</span>
+      <span class="kpi-value">${formatCurrency(k.npv)}</span>
+    </div>
+    <div class="kpi-row">
+      <span class="kpi-label">Payback (cash only):</span>
+      <span class="kpi-value">${
+        k.paybackYear != null
+          ? `${k.paybackCalendarYear} (year ${k.paybackYear})`
+          : "not within horizon"
+      }</span>
+    </div>
     <div class="kpi-row">
       <span class="kpi-label">Total profit (end of horizon):</span>
       <span class="kpi-value">${formatCurrency(k.totalProfit)}</span>
@@ -355,14 +1239,100 @@ function renderScenario(key) {
       <span class="kpi-label">Equity multiple:</span>
       <span class="kpi-value">${k.equityMultiple.toFixed(2)}x</span>
     </div>
+    ${
+      meta.holdingStructure === "gmbh"
+        ? `<div class="kpi-row">
+      <span class="kpi-label">GmbH: latent corporate / dividend tax at end:</span>
+      <span class="kpi-value">${formatCurrency(
+        k.latentCorporateTax
+      )} / ${formatCurrency(k.latentDividendTax)}</span>
+    </div>
+    <div class="kpi-row">
+      <span class="kpi-label">GmbH: dividends paid (tax):</span>
+      <span class="kpi-value">${formatCurrency(
+        k.dividendsPaid
+      )} (${formatCurrency(k.dividendTaxPaid)})</span>
+    </div>`
+        : ""
+    }
+    <div class="kpi-row">
+      <span class="kpi-label">Marginal tax rate (year 1):</span>
+      <span class="kpi-value">${formatPercent(
+        data.result.years[0].marginalTaxRate,
+        1
+      )}</span>
+    </div>
+    ${
+      meta.saleMode === "sell" && meta.saleDate
+        ? `<div class="kpi-row">
+      <span class="kpi-label">Sale ${meta.saleDate} after ${
+            meta.monthsHeld
+          } months:</span>
+      <span class="kpi-value">${
+        meta.speculativeSale
+          ? "inside 10-year period (gain taxable)"
+          : "after 10-year period"
+      }, gain ${formatCurrency(
+        data.result.years[data.result.years.length - 1].capitalGain
+      )}</span>
+    </div>`
+        : ""
+    }
+    <div class="kpi-row">
+      <span class="kpi-label">AfA claimed / book value at end:</span>
+      <span class="kpi-value">${formatCurrency(
+        data.result.years[data.result.years.length - 1]
+          .accumulatedDepreciation
+      )} / ${formatCurrency(
+        data.result.years[data.result.years.length - 1].bookValue
+      )}</span>
+    </div>
     <div class="kpi-row">
       <span class="kpi-label">Property value at end:</span>
       <span class="kpi-value">${formatCurrency(k.propertyValueEnd)}</span>
     </div>
+    <div class="kpi-row">
+      <span class="kpi-label">Financing:</span>
+      <span class="kpi-value">${meta.tranches
+        .map((t) => `${escapeHtml(t.name)} ${formatCurrency(t.principal)}`)
+        .join(" · ")}</span>
+    </div>
     <div class="kpi-row">
       <span class="kpi-label">Remaining debt at end:</span>
       <span class="kpi-value">${formatCurrency(k.remainingDebtEnd)}</span>
     </div>
+    <div class="kpi-row">
+      <span class="kpi-label">Interest paid in total:</span>
+      <span class="kpi-value">${formatCurrency(k.interestTotal)}${
+        k.specialRepaymentTotal > 0
+          ? ` (special repayments: ${formatCurrency(k.specialRepaymentTotal)})`
+          : ""
+      }</span>
+    </div>
+    ${refinancings
+      .map(
+        (refi) => `<div class="kpi-row">
+      <span class="kpi-label">Refinancing ${escapeHtml(refi.tranche)} in ${
+          refi.calendarYear
+        } (year ${refi.yearIndex}):</span>
+      <span class="kpi-value">${formatCurrency(
+        refi.remainingDebt
+      )} at ${formatPercent(refi.interestRate, 2)} → ${formatCurrency(
+          refi.annuity
+        )} p.a.</span>
+    </div>`
+      )
+      .join("")}
+    ${
+      Math.abs(meta.financingGap) > 1
+        ? `<div class="kpi-row">
+      <span class="kpi-label">Tranches vs. financing need:</span>
+      <span class="kpi-value">${formatCurrency(
+        meta.financingGap
+      )} ${meta.financingGap > 0 ? "extra equity" : "surplus"}</span>
+    </div>`
+        : ""
+    }
     <div class="kpi-row">
       <span class="kpi-label">Alternative investment end value:</span>
       <span class="kpi-value">${formatCurrency(k.altEndValue)}</span>
@@ -375,65 +1345,1125 @@ function renderScenario(key) {
     2
   );
 
+  renderResultWarnings(data.result);
   updateCharts(data.result);
+  renderYearlyTable();
+  updateExitSweep();
 }
 
-function recalcAllScenarios() {
-  const baseInputs = collectInputsFromForm();
-  const baseResult = simulateScenario(baseInputs, null);
+function hasResultErrors(result) {
+  return (result?.warnings || []).some((w) => w.severity === "error");
+}
 
-  const optInputs = buildScenarioInputs(baseInputs, "opt");
-  const optResult = simulateScenario(optInputs, null);
+// Warnings of the scenario (location, rent law, CapEx) and the inputs taken
+// from the location data, below the KPIs
+function renderResultWarnings(result) {
+  const list = document.getElementById("resultsWarnings");
+  if (!list) return;
+
+  const items = [
+    ...(result?.warnings || []),
+    ...socioDefaultsApplied.map(({ field, value }) => ({
+      severity: "info",
+      message: `${describeInputPath(field)} from the location data: ${
+        field === "monthlyRent"
+          ? formatCurrency(value)
+          : field === "referenceRentPerSqm"
+          ? `${value.toFixed(2)} €/m²`
+          : formatInputValue(field, value)
+      }`,
+    })),
+  ];
+
+  list.innerHTML = "";
+  for (const w of items) {
+    const li = document.createElement("li");
+    li.className = `warning-${w.severity}`;
+    li.textContent = w.message;
+    list.appendChild(li);
+  }
+  list.hidden = items.length === 0;
+}
 
-  const pesInputs = buildScenarioInputs(baseInputs, "pes");
-  const pesResult = simulateScenario(pesInputs, null);
+function recalcAllScenarios() {
+  baseFormInputs = collectInputsFromForm();
+  const socioContext = getSelectedPlzRecord();
+
+  // Fill empty fields before the overrides, so that "rent -5 %" applies
+  // to the rent from the location data as well
+  const { inputs: baseInputs, applied } = applySocioDefaults(
+    baseFormInputs,
+    socioContext
+  );
+  socioDefaultsApplied = applied;
+
+  scenarioResults = {};
+  for (const scenario of scenarioDefinitions) {
+    const inputs = applyScenario(baseInputs, scenario);
+    scenarioResults[scenario.id] = {
+      inputs,
+      result: simulateScenario(inputs, socioContext),
+    };
+  }
 
-  scenarioResults = {
-    base: { inputs: baseInputs, result: baseResult },
-    opt: { inputs: optInputs, result: optResult },
-    pes: { inputs: pesInputs, result: pesResult },
-  };
+  updateGridAxisOptions(baseInputs);
+
+  // Inputs changed: an earlier or running Monte Carlo run no longer applies
+  if (monteCarloWorker) {
+    stopMonteCarloWorker();
+    const progress = document.getElementById("mcProgress");
+    if (progress) progress.textContent = "Stopped: the inputs changed.";
+  }
+  monteCarloState = null;
+  renderMonteCarloSummary();
 
   if (!scenarioResults[activeScenario]) {
     activeScenario = "base";
   }
+  renderScenarioTabs();
   renderScenario(activeScenario);
+  renderScenarioEditor();
+  updateUrlHash();
 }
 
-// ---------- Charts ----------
+// ---------- Yearly cashflow table ----------
 
-function updateCharts(result) {
-  const cashCtx = document.getElementById("cashflowChart")?.getContext("2d");
-  const equityCtx = document.getElementById("equityChart")?.getContext("2d");
-  const propDebtCtx = document.getElementById("propDebtChart")?.getContext("2d");
+const hiddenYearlyColumns = new Set();
+// Sort order of the table body: { key, dir: "asc" | "desc" } or null
+let yearlySort = null;
 
-  if (!cashCtx || !equityCtx || !propDebtCtx || !window.Chart) {
-    return;
-  }
+function currentYearlyTable() {
+  const data = scenarioResults[activeScenario];
+  if (!data || !data.result || hasResultErrors(data.result)) return null;
+  return buildYearlyTable(data.result.years, {
+    columns: YEARLY_COLUMNS.map((c) => c.key).filter(
+      (key) => !hiddenYearlyColumns.has(key)
+    ),
+    sort: yearlySort,
+  });
+}
 
-  // Destroy old charts
-  if (cashflowChart) cashflowChart.destroy();
-  if (equityChart) equityChart.destroy();
-  if (propDebtChart) propDebtChart.destroy();
+function formatTableCell(column, value) {
+  if (value == null) return "";
+  return column.key === "calendarYear" ? String(value) : formatCurrency(value);
+}
 
-  if (!result || !result.years || result.years.length === 0) {
-    cashflowChart = equityChart = propDebtChart = null;
+function renderYearlyTable() {
+  const tableEl = document.getElementById("yearlyTable");
+  if (!tableEl) return;
+
+  const table = currentYearlyTable();
+  if (!table) {
+    tableEl.innerHTML = "";
     return;
   }
 
-  const years = result.years;
-  const labels = years.map((y) => y.calendarYear);
-  const cashflow = years.map((y) => y.cashAfterTax);
-  const equityPos = years.map((y) => y.equityPosition);
-  const propVal = years.map((y) => y.propertyValue);
-  const debt = years.map((y) => y.remainingDebt);
+  const arrow = (key) =>
+    yearlySort && yearlySort.key === key
+      ? yearlySort.dir === "asc"
+        ? " ▲"
+        : " ▼"
+      : "";
+
+  tableEl.innerHTML = `
+    <thead>
+      <tr>
+        ${table.columns
+          .map(
+            (c) =>
+              `<th class="sortable" data-key="${c.key}">${c.label}${arrow(
+                c.key
+              )}</th>`
+          )
+          .join("")}
+      </tr>
+    </thead>
+    <tbody>
+      ${table.rows
+        .map(
+          (row) => `<tr>${row
+            .map((v, i) => `<td>${formatTableCell(table.columns[i], v)}</td>`)
+            .join("")}</tr>`
+        )
+        .join("")}
+    </tbody>
+    <tfoot>
+      <tr>
+        ${table.totals
+          .map((v, i) =>
+            i === 0
+              ? "<td>Total / end</td>"
+              : `<td>${formatTableCell(table.columns[i], v)}</td>`
+          )
+          .join("")}
+      </tr>
+    </tfoot>
+  `;
 
-  cashflowChart = new Chart(cashCtx, {
-    type: "bar",
-    data: {
-      labels,
-      datasets: [
-        {
+  // Click on a header: ascending -> descending -> original order
+  tableEl.querySelectorAll("th.sortable").forEach((th) => {
+    th.addEventListener("click", () => {
+      const key = th.dataset.key;
+      if (!yearlySort || yearlySort.key !== key) {
+        yearlySort = { key, dir: "asc" };
+      } else if (yearlySort.dir === "asc") {
+        yearlySort = { key, dir: "desc" };
+      } else {
+        yearlySort = null;
+      }
+      renderYearlyTable();
+    });
+  });
+}
+
+function initYearlyTable() {
+  const container = document.getElementById("yearlyColumns");
+  if (container) {
+    // The year column always stays visible
+    for (const column of YEARLY_COLUMNS.slice(1)) {
+      const label = document.createElement("label");
+      label.className = "inline";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) hiddenYearlyColumns.delete(column.key);
+        else hiddenYearlyColumns.add(column.key);
+        renderYearlyTable();
+      });
+      label.append(checkbox, column.label);
+      container.appendChild(label);
+    }
+  }
+
+  document.getElementById("yearlyCsvBtn")?.addEventListener("click", () => {
+    downloadYearlyCsv();
+  });
+  document.getElementById("yearlyXlsxBtn")?.addEventListener("click", () => {
+    downloadYearlyXlsx();
+  });
+}
+
+function downloadYearlyCsv() {
+  const table = currentYearlyTable();
+  if (!table) return;
+
+  downloadFile(
+    `yearly-cashflows-${activeScenario}.csv`,
+    yearlyTableToCsv(table, {
+      germanFormat: parseCheckbox("yearlyGermanFormat"),
+    }),
+    "text/csv;charset=utf-8"
+  );
+}
+
+// XLSX via SheetJS (global XLSX from CDN): the table as it is shown plus
+// an input sheet. Cells stay numeric; Excel shows them in its locale.
+function downloadYearlyXlsx() {
+  const table = currentYearlyTable();
+  const data = scenarioResults[activeScenario];
+  if (!table || !data) return;
+  if (!window.XLSX) {
+    window.alert("XLSX export is not available (SheetJS did not load).");
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+
+  const tableSheet = XLSX.utils.aoa_to_sheet([
+    table.columns.map((c) => c.label),
+    ...table.rows,
+    ["Total / end", ...table.totals.slice(1)],
+  ]);
+  for (let r = 1; r <= table.rows.length + 1; r++) {
+    for (let c = 1; c < table.columns.length; c++) {
+      const cell = tableSheet[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === "n") cell.z = "#,##0.00";
+    }
+  }
+  tableSheet["!cols"] = table.columns.map(() => ({ wch: 16 }));
+  XLSX.utils.book_append_sheet(workbook, tableSheet, "Yearly cashflows");
+
+  const inputRows = flattenInputs(data.inputs).map(([path, value]) => [
+    describeInputPath(path),
+    value,
+    path,
+  ]);
+  const inputSheet = XLSX.utils.aoa_to_sheet([
+    ["Input", "Value", "Key"],
+    ...inputRows,
+  ]);
+  inputRows.forEach(([, value, path], i) => {
+    const cell = inputSheet[XLSX.utils.encode_cell({ r: i + 1, c: 1 })];
+    if (cell && typeof value === "number" && isRatePath(path)) {
+      cell.z = "0.00%";
+    }
+  });
+  inputSheet["!cols"] = [{ wch: 50 }, { wch: 16 }, { wch: 28 }];
+  XLSX.utils.book_append_sheet(workbook, inputSheet, "Inputs");
+
+  XLSX.writeFile(workbook, `yearly-cashflows-${activeScenario}.xlsx`);
+}
+
+// ---------- Monthly loan schedule download ----------
+
+function downloadMonthlySchedule() {
+  const data = scenarioResults[activeScenario];
+  if (!data || !data.result) return;
+
+  const header = [
+    "Year",
+    "Calendar year",
+    "Month",
+    "Tranche",
+    "Interest rate (%)",
+    "Payment",
+    "Interest",
+    "Principal",
+    "Special repayment",
+    "Remaining debt",
+  ];
+  // Semicolon-separated, so German Excel opens it without an import dialog
+  const lines = [header.join(";")];
+  for (const row of data.result.monthlySchedule) {
+    lines.push(
+      [
+        row.yearIndex,
+        row.calendarYear,
+        row.month,
+        `"${row.tranche.replace(/"/g, '""')}"`,
+        (row.interestRate * 100).toFixed(3),
+        row.payment.toFixed(2),
+        row.interest.toFixed(2),
+        row.principal.toFixed(2),
+        row.specialRepayment.toFixed(2),
+        row.remainingDebt.toFixed(2),
+      ].join(";")
+    );
+  }
+
+  downloadFile(
+    `loan-schedule-${activeScenario}.csv`,
+    lines.join("\n"),
+    "text/csv;charset=utf-8"
+  );
+}
+
+// ---------- Exit year sweep ----------
+
+function formatOptionalPercent(value, decimals = 2) {
+  return value != null ? formatPercent(value, decimals) : "n/a";
+}
+
+function updateExitSweep() {
+  const toggle = document.getElementById("exitSweepToggle");
+  const card = document.getElementById("exitCard");
+  const summary = document.getElementById("exitSummary");
+  const table = document.getElementById("exitTable");
+  if (!toggle || !card || !summary || !table) return;
+
+  const data = scenarioResults[activeScenario];
+  if (!toggle.checked || !data || hasResultErrors(data.result)) {
+    card.hidden = true;
+    summary.innerHTML = "";
+    table.innerHTML = "";
+    if (exitChart) exitChart.destroy();
+    exitChart = null;
+    return;
+  }
+
+  const sweep = sweepExitYears(data.inputs, null);
+  card.hidden = false;
+
+  const describe = (row) =>
+    row
+      ? `year ${row.saleYear} (${row.saleDate}): IRR ${formatOptionalPercent(
+          row.irr
+        )}, equity ${formatCurrency(row.equityPosition)}`
+      : "–";
+  summary.innerHTML = `
+    <p>Best exit inside 10-year period: <span class="highlight">${describe(
+      sweep.bestInside
+    )}</span></p>
+    <p>Best exit after 10-year period: <span class="highlight">${describe(
+      sweep.bestOutside
+    )}</span></p>
+    <p style="color:#6b7280;">Click a row to use that year as sale year.</p>
+  `;
+
+  const bestYears = [sweep.bestInside, sweep.bestOutside]
+    .filter(Boolean)
+    .map((r) => r.saleYear);
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Sale year</th>
+        <th>Sale date</th>
+        <th>10-year period</th>
+        <th>Equity position</th>
+        <th>Annualized ROE</th>
+        <th>IRR</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${sweep.rows
+        .map(
+          (r) => `<tr class="clickable${
+            bestYears.includes(r.saleYear) ? " best" : ""
+          }" data-sale-year="${r.saleYear}">
+        <td>${r.saleYear}</td>
+        <td>${r.saleDate}</td>
+        <td>${r.speculativeSale ? "inside (taxable)" : "after"}</td>
+        <td>${formatCurrency(r.equityPosition)}</td>
+        <td>${formatPercent(r.roeAnnualized, 2)}</td>
+        <td>${formatOptionalPercent(r.irr)}</td>
+      </tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
+
+  table.querySelectorAll("tr[data-sale-year]").forEach((tr) => {
+    tr.addEventListener("click", () => {
+      document.querySelector('input[name="saleMode"][value="sell"]').checked =
+        true;
+      document.getElementById("saleYear").value = tr.dataset.saleYear;
+      document.getElementById("saleDate").value = "";
+      recalcAllScenarios();
+    });
+  });
+
+  updateExitChart(sweep);
+}
+
+function updateExitChart(sweep) {
+  const ctx = document.getElementById("exitChart")?.getContext("2d");
+  if (!ctx || !window.Chart) return;
+  if (exitChart) exitChart.destroy();
+
+  const labels = sweep.rows.map((r) => r.saleYear);
+
+  exitChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [
+        {
+          type: "bar",
+          label: "Equity position (€)",
+          data: sweep.rows.map((r) => r.equityPosition),
+          yAxisID: "y",
+        },
+        {
+          type: "line",
+          label: "IRR (%)",
+          data: sweep.rows.map((r) => (r.irr != null ? r.irr * 100 : null)),
+          yAxisID: "y1",
+        },
+        {
+          type: "line",
+          label: "Annualized ROE (%)",
+          data: sweep.rows.map((r) => r.roeAnnualized * 100),
+          yAxisID: "y1",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (ctx) =>
+              ctx.dataset.yAxisID === "y"
+                ? `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y ?? 0)}`
+                : `${ctx.dataset.label}: ${(ctx.parsed.y ?? 0).toFixed(2)} %`,
+          },
+        },
+      },
+      scales: {
+        x: { title: { display: true, text: "Sale in year" } },
+        y: {
+          position: "left",
+          title: { display: true, text: "Equity position (€)" },
+        },
+        y1: {
+          position: "right",
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: "%" },
+        },
+      },
+    },
+  });
+}
+
+// ---------- Monte Carlo risk simulation ----------
+
+// Default distributions, parameters in % (see MONTE_CARLO_DRIVERS)
+const MC_DEFAULTS = {
+  rentGrowth: { type: "normal", a: 1, b: 1, c: null },
+  vacancyRate: { type: "triangular", a: 0, b: 5, c: 10 },
+  followUpRate: { type: "normal", a: 4, b: 1.5, c: null },
+  landGrowthRate: { type: "normal", a: 0.5, b: 1, c: null },
+  maintenanceGrowth: { type: "uniform", a: 0.25, b: 2.25, c: null },
+};
+
+function initMonteCarloPanel() {
+  const tbody = document.getElementById("mcDrivers");
+  if (!tbody) return;
+
+  tbody.innerHTML = Object.entries(MONTE_CARLO_DRIVERS)
+    .map(([key, driver]) => {
+      const d = MC_DEFAULTS[key];
+      const param = (name) =>
+        `<td><input type="number" step="0.1" data-param="${name}" value="${
+          d[name] ?? ""
+        }" /></td>`;
+      return `<tr data-driver="${key}">
+        <td>${driver.label}</td>
+        <td>
+          <select data-param="type">
+            <option value="fixed">Fixed (base value)</option>
+            <option value="normal">Normal</option>
+            <option value="triangular">Triangular</option>
+            <option value="uniform">Uniform</option>
+          </select>
+        </td>
+        ${param("a")}${param("b")}${param("c")}
+      </tr>`;
+    })
+    .join("");
+
+  tbody.querySelectorAll("tr[data-driver]").forEach((tr) => {
+    tr.querySelector('[data-param="type"]').value =
+      MC_DEFAULTS[tr.dataset.driver].type;
+  });
+
+  const runBtn = document.getElementById("mcRunBtn");
+  if (runBtn) {
+    runBtn.addEventListener("click", () => {
+      runMonteCarloForActiveScenario();
+    });
+  }
+}
+
+function readMonteCarloConfig() {
+  const distributions = {};
+
+  document.querySelectorAll("#mcDrivers tr[data-driver]").forEach((tr) => {
+    const type = tr.querySelector('[data-param="type"]').value;
+    const param = (name) => {
+      const raw = tr
+        .querySelector(`[data-param="${name}"]`)
+        .value.replace(",", ".");
+      const num = Number(raw);
+      return Number.isFinite(num) ? num / 100 : 0;
+    };
+
+    if (type === "normal") {
+      distributions[tr.dataset.driver] = {
+        type,
+        mean: param("a"),
+        sd: param("b"),
+      };
+    } else if (type === "triangular") {
+      distributions[tr.dataset.driver] = {
+        type,
+        min: param("a"),
+        mode: param("b"),
+        max: param("c"),
+      };
+    } else if (type === "uniform") {
+      distributions[tr.dataset.driver] = {
+        type,
+        min: param("a"),
+        max: param("b"),
+      };
+    }
+  });
+
+  return {
+    iterations: Math.max(100, parseNumber("mcIterations", 2000)),
+    seed: parseNumber("mcSeed", 1),
+    distributions,
+  };
+}
+
+// Drop a running simulation; its results would no longer match the inputs
+function stopMonteCarloWorker() {
+  if (!monteCarloWorker) return;
+  monteCarloWorker.terminate();
+  monteCarloWorker = null;
+}
+
+function runMonteCarloForActiveScenario() {
+  const data = scenarioResults[activeScenario];
+  const progress = document.getElementById("mcProgress");
+  if (!data) return;
+  if (hasResultErrors(data.result)) {
+    if (progress) {
+      progress.textContent = "No valid result: correct the inputs first.";
+    }
+    return;
+  }
+
+  const scenario = activeScenario;
+  const config = readMonteCarloConfig();
+
+  const finish = (result) => {
+    monteCarloState = { scenario, result };
+    if (progress) progress.textContent = `${result.iterations} draws done.`;
+    renderMonteCarloSummary();
+    if (scenario === activeScenario) updateCharts(data.result);
+  };
+
+  // Without Worker support, run on the main thread (UI blocks meanwhile)
+  if (typeof Worker === "undefined") {
+    finish(runMonteCarlo(data.inputs, config));
+    return;
+  }
+
+  stopMonteCarloWorker();
+  const worker = new Worker(
+    new URL("./monteCarloWorker.js", import.meta.url),
+    { type: "module" }
+  );
+  monteCarloWorker = worker;
+  worker.addEventListener("message", (event) => {
+    // A newer run or a recalculation replaced this worker
+    if (worker !== monteCarloWorker) return;
+    const msg = event.data;
+    if (msg.type === "progress") {
+      if (progress) progress.textContent = `${msg.done} / ${msg.total} draws…`;
+    } else if (msg.type === "done") {
+      stopMonteCarloWorker();
+      finish(msg.result);
+    } else if (msg.type === "error") {
+      stopMonteCarloWorker();
+      if (progress) progress.textContent = `Error: ${msg.message}`;
+    }
+  });
+  // Worker failed to load or crashed outside runMonteCarlo
+  worker.addEventListener("error", (event) => {
+    if (worker !== monteCarloWorker) return;
+    event.preventDefault();
+    stopMonteCarloWorker();
+    if (progress) {
+      progress.textContent = `Error: ${event.message || "worker failed"}`;
+    }
+  });
+
+  if (progress) progress.textContent = "Starting…";
+  monteCarloWorker.postMessage({ inputs: data.inputs, config });
+}
+
+function renderMonteCarloSummary() {
+  const summary = document.getElementById("mcSummary");
+  if (!summary) return;
+
+  if (mcEquityHistChart) mcEquityHistChart.destroy();
+  if (mcIrrHistChart) mcIrrHistChart.destroy();
+  mcEquityHistChart = mcIrrHistChart = null;
+
+  if (!monteCarloState) {
+    summary.innerHTML = "<em>No Monte Carlo run for the current inputs.</em>";
+    return;
+  }
+
+  const { scenario, result } = monteCarloState;
+  summary.innerHTML = `
+    <p>Scenario: <span class="highlight mc-scenario-name"></span>, ${
+    result.iterations
+  } draws</p>
+    <p>End equity P10 / P50 / P90: <span class="highlight">${formatCurrency(
+      result.endEquity.p10
+    )} / ${formatCurrency(result.endEquity.p50)} / ${formatCurrency(
+    result.endEquity.p90
+  )}</span></p>
+    <p>IRR P10 / P50 / P90: <span class="highlight">${formatOptionalPercent(
+      result.irr.p10
+    )} / ${formatOptionalPercent(result.irr.p50)} / ${formatOptionalPercent(
+    result.irr.p90
+  )}</span>${
+    result.irrMissing > 0 ? ` (no IRR in ${result.irrMissing} draws)` : ""
+  }</p>
+    <p>Probability of negative cumulative cashflow at end: <span class="highlight">${formatPercent(
+      result.probNegativeCumulativeCF,
+      1
+    )}</span></p>
+  `;
+  // Scenario names are user text
+  summary.querySelector(".mc-scenario-name").textContent =
+    getScenarioName(scenario);
+
+  if (!window.Chart) return;
+  mcEquityHistChart = buildHistogramChart(
+    "mcEquityHistChart",
+    result.histograms.endEquity,
+    "End equity",
+    (v) => formatCurrency(v)
+  );
+  mcIrrHistChart = buildHistogramChart(
+    "mcIrrHistChart",
+    result.histograms.irr,
+    "IRR",
+    (v) => formatPercent(v, 1)
+  );
+}
+
+function buildHistogramChart(canvasId, bins, label, formatBin) {
+  const ctx = document.getElementById(canvasId)?.getContext("2d");
+  if (!ctx) return null;
+
+  return new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: bins.map((b) => formatBin((b.from + b.to) / 2)),
+      datasets: [{ label: `Draws (${label})`, data: bins.map((b) => b.count) }],
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { title: { display: true, text: label } },
+        y: { title: { display: true, text: "Draws" } },
+      },
+    },
+  });
+}
+
+// ---------- Sensitivity analysis ----------
+
+// Readable name for an input path, taken from the form label
+function describeInputPath(path) {
+  if (path === "purchasePrice") return "Purchase price (building + land)";
+
+  const trancheMatch = /^loans\.(\d+)\.(\w+)$/.exec(path);
+  if (trancheMatch) {
+    const [, index, field] = trancheMatch;
+    const card = document.querySelectorAll("#trancheList .tranche-card")[
+      Number(index)
+    ];
+    const name =
+      card?.querySelector('[data-field="name"]')?.value ||
+      `Tranche ${Number(index) + 1}`;
+    const fieldLabel =
+      TRANCHE_FIELDS.find(([f]) => f === field)?.[1] || field;
+    return `${name}: ${fieldLabel}`;
+  }
+
+  // Percent inputs carry a "Pct" suffix in their form id
+  const el = [
+    path,
+    `${path}Pct`,
+    path.replace(/Rate$/, "Pct"),
+  ]
+    .map((id) => document.getElementById(id))
+    .find(Boolean);
+  const label = el?.closest("label");
+  if (!label) return path;
+  return label.childNodes[0].textContent.trim() || path;
+}
+
+function isRatePath(path) {
+  return /(Rate|rate|Growth|share)$/.test(path);
+}
+
+function formatInputValue(path, value) {
+  return isRatePath(path)
+    ? formatPercent(value, 2)
+    : value.toLocaleString("de-DE", { maximumFractionDigits: 0 });
+}
+
+function formatMetric(metric, value) {
+  return metric === "roeAnnualized"
+    ? formatPercent(value, 2)
+    : formatCurrency(value);
+}
+
+function fillSelect(select, options, selected) {
+  if (!select) return;
+  const previous = select.value || selected;
+  select.innerHTML = options
+    .map(
+      ([value, text]) =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`
+    )
+    .join("");
+  if (options.some(([value]) => value === previous)) {
+    select.value = previous;
+  }
+}
+
+function initSensitivityPanel() {
+  const metricOptions = Object.entries(SENSITIVITY_METRICS).map(
+    ([key, m]) => [key, m.label]
+  );
+  fillSelect(document.getElementById("sensMetric"), metricOptions);
+  fillSelect(document.getElementById("gridMetric"), metricOptions);
+
+  document.getElementById("sensRunBtn")?.addEventListener("click", () => {
+    runSensitivityForActiveScenario();
+  });
+  document.getElementById("gridRunBtn")?.addEventListener("click", () => {
+    runGridForActiveScenario();
+  });
+}
+
+// The grid axes depend on the inputs (e.g. number of tranches)
+function updateGridAxisOptions(inputs) {
+  const options = listNumericInputs(inputs).map((path) => [
+    path,
+    describeInputPath(path),
+  ]);
+  fillSelect(document.getElementById("gridX"), options, "purchasePrice");
+  fillSelect(document.getElementById("gridY"), options, "loans.0.interestRate");
+}
+
+function runSensitivityForActiveScenario() {
+  const data = scenarioResults[activeScenario];
+  const ctx = document.getElementById("tornadoChart")?.getContext("2d");
+  if (!data || !ctx || !window.Chart) return;
+
+  const metric = document.getElementById("sensMetric").value;
+  const step = parsePercent("sensStepPct", 10);
+  const { rows } = runSensitivity(data.inputs, { step, rankBy: metric });
+  const top = rows.slice(0, 15);
+
+  if (tornadoChart) tornadoChart.destroy();
+  const scale = metric === "roeAnnualized" ? 100 : 1;
+
+  tornadoChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: top.map((r) => describeInputPath(r.path)),
+      datasets: [
+        {
+          label: `Input −${formatPercent(step, 0)}`,
+          data: top.map((r) => r.delta[metric].low * scale),
+        },
+        {
+          label: `Input +${formatPercent(step, 0)}`,
+          data: top.map((r) => r.delta[metric].high * scale),
+        },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (c) => {
+              const row = top[c.dataIndex];
+              const inputValue =
+                c.datasetIndex === 0 ? row.lowValue : row.highValue;
+              return `${c.dataset.label} (${formatInputValue(
+                row.path,
+                inputValue
+              )}): ${
+                metric === "roeAnnualized"
+                  ? `${(c.parsed.x ?? 0).toFixed(2)} pp`
+                  : formatCurrency(c.parsed.x ?? 0)
+              }`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          stacked: true,
+          title: {
+            display: true,
+            text: `Change of ${SENSITIVITY_METRICS[metric].label}${
+              metric === "roeAnnualized" ? " (pp)" : " (€)"
+            }`,
+          },
+        },
+        y: { stacked: true },
+      },
+    },
+  });
+}
+
+function runGridForActiveScenario() {
+  const data = scenarioResults[activeScenario];
+  const table = document.getElementById("gridTable");
+  if (!data || !table) return;
+
+  const xPath = document.getElementById("gridX").value;
+  const yPath = document.getElementById("gridY").value;
+  const metric = document.getElementById("gridMetric").value;
+  const range = parsePercent("gridRangePct", 20);
+  const steps = Math.max(2, Math.round(parseNumber("gridSteps", 5)));
+
+  const axisValues = (path) => {
+    const base = getInputValue(data.inputs, path) || 0;
+    return Array.from(
+      { length: steps },
+      (_, i) => base * (1 - range + (2 * range * i) / (steps - 1))
+    );
+  };
+
+  const grid = runTwoWayGrid(data.inputs, {
+    x: { path: xPath, values: axisValues(xPath) },
+    y: { path: yPath, values: axisValues(yPath) },
+    metric,
+  });
+
+  // Colour scale: red (worst) -> green (best)
+  const all = grid.cells.flat();
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const colour = (v) => {
+    const t = max > min ? (v - min) / (max - min) : 0.5;
+    return `hsl(${Math.round(t * 120)}, 70%, 80%)`;
+  };
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>${escapeHtml(describeInputPath(yPath))} ↓ / ${escapeHtml(
+          describeInputPath(xPath)
+        )} →</th>
+        ${grid.xValues
+          .map((x) => `<th>${formatInputValue(xPath, x)}</th>`)
+          .join("")}
+      </tr>
+    </thead>
+    <tbody>
+      ${grid.cells
+        .map(
+          (row, i) => `<tr>
+        <th>${formatInputValue(yPath, grid.yValues[i])}</th>
+        ${row
+          .map(
+            (v) =>
+              `<td style="background:${colour(v)}">${formatMetric(
+                metric,
+                v
+              )}</td>`
+          )
+          .join("")}
+      </tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
+}
+
+// ---------- Location ranking ----------
+
+// Last ranking run (rows of runLocationRanking) and the table sort order
+let rankingRows = null;
+let rankingSort = null;
+
+function formatRankingCell(column, row) {
+  const value = row[column.key];
+  if (value == null) return "n/a";
+  switch (column.type) {
+    case "money":
+      return formatCurrency(value);
+    case "rate":
+      return formatPercent(value, 2);
+    case "text":
+      return value;
+    default:
+      if (column.key === "sqm") {
+        return `${value.toFixed(1)}${row.sizeReduced ? " *" : ""}`;
+      }
+      return column.key === "rentPerSqm" ? value.toFixed(2) : value.toFixed(0);
+  }
+}
+
+function renderRankingTable() {
+  const tableEl = document.getElementById("rankingTable");
+  if (!tableEl) return;
+  if (!rankingRows) {
+    tableEl.innerHTML = "";
+    return;
+  }
+
+  const arrow = (key) =>
+    rankingSort && rankingSort.key === key
+      ? rankingSort.dir === "asc"
+        ? " ▲"
+        : " ▼"
+      : "";
+
+  const rows = sortRanking(rankingRows, rankingSort);
+  tableEl.innerHTML = `
+    <thead>
+      <tr>
+        ${RANKING_COLUMNS.map(
+          (c) =>
+            `<th class="sortable" data-key="${c.key}">${c.label}${arrow(
+              c.key
+            )}</th>`
+        ).join("")}
+      </tr>
+    </thead>
+    <tbody>
+      ${rows
+        .map(
+          (row) => `<tr data-plz="${row.plz}">${RANKING_COLUMNS.map(
+            (c) => `<td>${formatRankingCell(c, row)}</td>`
+          ).join("")}</tr>`
+        )
+        .join("")}
+    </tbody>
+  `;
+
+  // Click on a header: descending -> ascending -> overall rank
+  tableEl.querySelectorAll("th.sortable").forEach((th) => {
+    th.addEventListener("click", () => {
+      const key = th.dataset.key;
+      if (!rankingSort || rankingSort.key !== key) {
+        rankingSort = { key, dir: "desc" };
+      } else if (rankingSort.dir === "desc") {
+        rankingSort = { key, dir: "asc" };
+      } else {
+        rankingSort = null;
+      }
+      renderRankingTable();
+    });
+  });
+
+  tableEl.querySelectorAll("tbody tr").forEach((tr) => {
+    tr.addEventListener("click", () => {
+      loadRankedLocation(tr.dataset.plz);
+    });
+  });
+}
+
+function runRanking() {
+  const budget = parseNumber("rankBudget", 0);
+  const sqm = parseNumber("rankSqm", 0);
+  if (!(sqm > 0)) {
+    window.alert("Please enter the target apartment size.");
+    return;
+  }
+
+  // The same check for all locations: one run of the form inputs
+  const baseInputs = collectInputsFromForm();
+  if (hasResultErrors(simulateScenario(baseInputs, null))) {
+    window.alert("No valid result: correct the inputs first.");
+    return;
+  }
+
+  rankingRows = runLocationRanking(socioRecords, baseInputs, {
+    budget,
+    sqm,
+  });
+  const strategy = document.getElementById("rankStrategy")?.value;
+  rankingSort =
+    strategy && strategy !== "overall" ? { key: strategy, dir: "desc" } : null;
+  renderRankingTable();
+}
+
+// Take over the purchase of a ranking row (price, size, scaled financing)
+// and its PLZ; rent and vacancy then come from the location data
+function loadRankedLocation(plz) {
+  const row = rankingRows?.find((r) => r.plz === plz);
+  if (!row) return;
+
+  applyInputsToForm(row.inputs);
+  setSelectedPlz(row.plz);
+  renderPlzSuggestions();
+  updatePlzSummary();
+  recalcAllScenarios();
+}
+
+function downloadRankingXlsx() {
+  if (!rankingRows) return;
+  if (!window.XLSX) {
+    window.alert("XLSX export is not available (SheetJS did not load).");
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet(
+    rankingToRows(sortRanking(rankingRows, rankingSort))
+  );
+  sheet["!cols"] = RANKING_COLUMNS.map(() => ({ wch: 16 }));
+  XLSX.utils.book_append_sheet(workbook, sheet, "Location ranking");
+  XLSX.writeFile(workbook, "location-ranking.xlsx");
+}
+
+function initRankingPanel() {
+  fillSelect(
+    document.getElementById("rankStrategy"),
+    [
+      ["overall", "Overall (average rank)"],
+      ...RANKING_METRICS.map((m) => [m.key, m.label]),
+    ],
+    "overall"
+  );
+
+  // Start with the purchase of the form
+  const budget = document.getElementById("rankBudget");
+  if (budget && !budget.value) {
+    budget.value = String(
+      parseNumber("buildingValue", 0) + parseNumber("landValue", 0)
+    );
+  }
+  const sqm = document.getElementById("rankSqm");
+  if (sqm && !sqm.value) sqm.value = String(parseNumber("sqm", 0));
+
+  document.getElementById("rankRunBtn")?.addEventListener("click", () => {
+    runRanking();
+  });
+  document.getElementById("rankStrategy")?.addEventListener("change", () => {
+    if (rankingRows) runRanking();
+  });
+  document.getElementById("rankCsvBtn")?.addEventListener("click", () => {
+    if (!rankingRows) return;
+    downloadFile(
+      "location-ranking.csv",
+      rankingToCsv(sortRanking(rankingRows, rankingSort)),
+      "text/csv;charset=utf-8"
+    );
+  });
+  document.getElementById("rankXlsxBtn")?.addEventListener("click", () => {
+    downloadRankingXlsx();
+  });
+}
+
+// ---------- Charts ----------
+
+function updateCharts(result) {
+  const cashCtx = document.getElementById("cashflowChart")?.getContext("2d");
+  const equityCtx = document.getElementById("equityChart")?.getContext("2d");
+  const propDebtCtx = document.getElementById("propDebtChart")?.getContext("2d");
+
+  if (!cashCtx || !equityCtx || !propDebtCtx || !window.Chart) {
+    return;
+  }
+
+  // Destroy old charts
+  if (cashflowChart) cashflowChart.destroy();
+  if (equityChart) equityChart.destroy();
+  if (propDebtChart) propDebtChart.destroy();
+  if (costChart) costChart.destroy();
+
+  if (!result || !result.years || result.years.length === 0) {
+    cashflowChart = equityChart = propDebtChart = costChart = null;
+    return;
+  }
+
+  const years = result.years;
+  const labels = years.map((y) => y.calendarYear);
+  const cashflow = years.map((y) => y.cashAfterTax);
+  const equityPos = years.map((y) => y.equityPosition);
+  const propVal = years.map((y) => y.propertyValue);
+  const debt = years.map((y) => y.remainingDebt);
+
+  cashflowChart = new Chart(cashCtx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [
+        {
           label: "Cashflow after tax (€)",
           data: cashflow,
         },
@@ -459,25 +2489,59 @@ function updateCharts(result) {
     },
   });
 
+  // Monte Carlo percentile bands for the active scenario, if available
+  const bands =
+    monteCarloState &&
+    monteCarloState.scenario === activeScenario &&
+    monteCarloState.result.equityBands.length === years.length
+      ? monteCarloState.result.equityBands
+      : null;
+
+  const equityDatasets = [
+    {
+      label: "Equity position (€)",
+      data: equityPos,
+    },
+  ];
+  if (bands) {
+    equityDatasets.push(
+      {
+        label: "P90 (€)",
+        data: bands.map((b) => b.p90),
+        borderDash: [4, 4],
+        pointRadius: 0,
+      },
+      {
+        label: "P50 (€)",
+        data: bands.map((b) => b.p50),
+        borderDash: [2, 2],
+        pointRadius: 0,
+      },
+      {
+        label: "P10 (€)",
+        data: bands.map((b) => b.p10),
+        borderDash: [4, 4],
+        pointRadius: 0,
+      }
+    );
+  }
+
   equityChart = new Chart(equityCtx, {
     type: "line",
     data: {
       labels,
-      datasets: [
-        {
-          label: "Equity position (€)",
-          data: equityPos,
-        },
-      ],
+      datasets: equityDatasets,
     },
     options: {
       responsive: true,
       plugins: {
-        legend: { display: false },
+        legend: { display: !!bands },
         tooltip: {
           callbacks: {
             label: (ctx) =>
-              formatCurrency(ctx.parsed.y ?? 0),
+              bands
+                ? `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y ?? 0)}`
+                : formatCurrency(ctx.parsed.y ?? 0),
           },
         },
       },
@@ -525,36 +2589,720 @@ function updateCharts(result) {
       },
     },
   });
+
+  updateCostChart(years);
 }
 
-// ---------- Init PLZ select ----------
+// Operating costs per category, stacked; costs below zero, the advance
+// payments of the tenants above
+function updateCostChart(years) {
+  const ctx = document.getElementById("costChart")?.getContext("2d");
+  if (!ctx) {
+    costChart = null;
+    return;
+  }
 
-function initPlzSelect() {
-  const select = document.getElementById("plzSelect");
-  if (!select) return;
+  costChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: years.map((y) => y.calendarYear),
+      datasets: OPERATING_COST_CATEGORIES.map(({ key, label }) => ({
+        label: `${label} (€)`,
+        data: years.map((y) => y[key] ?? 0),
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (ctx) =>
+              `${ctx.dataset.label}: ${formatCurrency(ctx.parsed.y ?? 0)}`,
+          },
+        },
+      },
+      scales: {
+        x: { stacked: true, title: { display: true, text: "Year" } },
+        y: { stacked: true, title: { display: true, text: "€" } },
+      },
+    },
+  });
+}
 
-  const sorted = [...socioData].sort((a, b) =>
-    a.plz.localeCompare(b.plz)
-  );
+// ---------- Init PLZ search ----------
+
+// Type-ahead list for the search field (PLZ and place names)
+function renderPlzSuggestions() {
+  const input = document.getElementById("plzSearch");
+  const list = document.getElementById("plzSuggestions");
+  if (!input || !list) return;
 
-  for (const rec of sorted) {
+  // A picked entry ("04109 Leipzig-Zentrum") searches by its PLZ
+  const query = getSelectedPlz() || input.value;
+  list.innerHTML = "";
+  for (const match of searchPlz(query, socioRecords)) {
     const opt = document.createElement("option");
-    opt.value = rec.plz;
-    opt.textContent = `${rec.plz} – population ${rec.population.toLocaleString(
-      "de-DE"
-    )}`;
-    select.appendChild(opt);
+    opt.value = match.place ? `${match.plz} ${match.place}` : match.plz;
+    opt.label = match.hasData ? "socio data" : "no own data";
+    list.appendChild(opt);
   }
+}
+
+function initPlzSearch() {
+  const input = document.getElementById("plzSearch");
+  if (!input) return;
 
-  select.addEventListener("change", () => {
+  renderPlzSuggestions();
+  input.addEventListener("input", () => {
+    renderPlzSuggestions();
     updatePlzSummary();
   });
 }
 
+// ---------- Socio dataset import ----------
+
+// Errors listed in the import report; the rest is only counted
+const MAX_REPORTED_IMPORT_ERRORS = 20;
+
+function renderSocioDatasetInfo() {
+  const el = document.getElementById("socioDatasetInfo");
+  if (!el) return;
+
+  const plzCount = new Set(socioRecords.map((r) => r.plz)).size;
+  const years = socioRecords.map((r) => r.year);
+  const yearRange =
+    years.length > 0
+      ? `${Math.min(...years)}–${Math.max(...years)}`
+      : "no years";
+  const source = socioDataset
+    ? `Imported from ${socioDataset.source || "file"} (${new Date(
+        socioDataset.importedAt
+      ).toLocaleDateString("de-DE")})`
+    : "Built-in dataset";
+
+  el.textContent =
+    `${source}: ${socioRecords.length} records, ` +
+    `${plzCount} PLZ, ${yearRange}.`;
+
+  const resetBtn = document.getElementById("socioResetBtn");
+  if (resetBtn) resetBtn.disabled = !socioDataset;
+}
+
+function renderSocioImportReport({ records, errors, warnings }, fileName) {
+  const el = document.getElementById("socioImportReport");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.textContent =
+    records.length > 0
+      ? `${fileName}: ${records.length} rows imported, ` +
+        `${errors.length} errors, ${warnings.length} warnings.`
+      : `${fileName}: nothing imported, ${errors.length} errors. ` +
+        "The current dataset is kept.";
+  el.appendChild(summary);
+
+  const list = document.createElement("ul");
+  const issues = [
+    ...errors.map((e) => ({ ...e, kind: "error" })),
+    ...warnings.map((w) => ({ ...w, kind: "warning" })),
+  ];
+  for (const issue of issues.slice(0, MAX_REPORTED_IMPORT_ERRORS)) {
+    const li = document.createElement("li");
+    li.className = `import-${issue.kind}`;
+    li.textContent =
+      issue.row > 0
+        ? `Row ${issue.row}, ${issue.field}: ${issue.message}`
+        : issue.message;
+    list.appendChild(li);
+  }
+  if (issues.length > MAX_REPORTED_IMPORT_ERRORS) {
+    const li = document.createElement("li");
+    li.textContent = `… and ${
+      issues.length - MAX_REPORTED_IMPORT_ERRORS
+    } more`;
+    list.appendChild(li);
+  }
+  if (issues.length > 0) el.appendChild(list);
+}
+
+function useSocioDataset(dataset) {
+  socioDataset = dataset;
+  socioRecords = dataset ? dataset.records : socioData;
+  renderPlzSuggestions();
+  renderSocioDatasetInfo();
+  updatePlzSummary();
+}
+
+async function importSocioFile(file) {
+  const text = await file.text();
+  const result = importSocioData(text);
+  renderSocioImportReport(result, file.name);
+  if (result.records.length === 0) return;
+
+  let dataset;
+  try {
+    dataset = storeSocioData(result.records, file.name);
+  } catch (err) {
+    // Quota exceeded: use the data for this session only
+    console.warn("Socio dataset could not be stored:", err);
+    dataset = {
+      source: file.name,
+      importedAt: new Date().toISOString(),
+      records: result.records,
+    };
+  }
+  useSocioDataset(dataset);
+}
+
+function initSocioImport() {
+  const fileInput = document.getElementById("socioFile");
+  if (fileInput) {
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      await importSocioFile(file);
+      fileInput.value = "";
+    });
+  }
+
+  const resetBtn = document.getElementById("socioResetBtn");
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      clearStoredSocioData();
+      useSocioDataset(null);
+      const report = document.getElementById("socioImportReport");
+      if (report) report.textContent = "";
+    });
+  }
+
+  renderSocioDatasetInfo();
+}
+
+// ---------- Deal library ----------
+
+const dealStore = createDealStore();
+// Id of the deal the form was loaded from / last saved as
+let currentDealId = null;
+// Saved deals ticked for the portfolio view
+const portfolioDealIds = new Set();
+
+function buildDealSnapshot() {
+  const base = scenarioResults.base;
+  const inputs = baseFormInputs || collectInputsFromForm();
+  const k = base?.result.kpis;
+
+  return {
+    id: currentDealId,
+    name: document.getElementById("dealName")?.value.trim() || "Unnamed deal",
+    address: document.getElementById("dealAddress")?.value.trim() || "",
+    note: document.getElementById("dealNote")?.value || "",
+    plz: getSelectedPlz(),
+    inputs,
+    scenarios: structuredClone(scenarioDefinitions),
+    // Snapshot of the base scenario for the list
+    kpis: k
+      ? {
+          purchasePrice: inputs.buildingValue + inputs.landValue,
+          totalProfit: k.totalProfit,
+          roeAnnualized: k.roeAnnualized,
+          irr: k.irr,
+          year1Cashflow: base.result.years[0].cashAfterTax,
+        }
+      : null,
+  };
+}
+
+function setDealStatus(text) {
+  const el = document.getElementById("dealStatus");
+  if (el) el.textContent = text;
+}
+
+function saveCurrentDeal({ asNew = false } = {}) {
+  recalcAllScenarios();
+  const snapshot = buildDealSnapshot();
+  if (asNew) snapshot.id = null;
+
+  try {
+    const stored = dealStore.save(snapshot);
+    currentDealId = stored.id;
+    setDealStatus(`Saved "${stored.name}".`);
+  } catch (err) {
+    setDealStatus(`Could not save: ${err.message}`);
+  }
+  renderDealList();
+}
+
+function loadDeal(id) {
+  const deal = dealStore.get(id);
+  if (!deal) return;
+
+  applyInputsToForm(deal.inputs);
+
+  setSelectedPlz(deal.plz);
+  updatePlzSummary();
+
+  document.getElementById("dealName").value = deal.name;
+  document.getElementById("dealAddress").value = deal.address || "";
+  document.getElementById("dealNote").value = deal.note || "";
+
+  scenarioDefinitions = normalizeScenarios(deal.scenarios);
+  activeScenario = "base";
+  currentDealId = deal.id;
+
+  recalcAllScenarios();
+  setDealStatus(`Loaded "${deal.name}".`);
+  renderDealList();
+}
+
+function renderDealList() {
+  const table = document.getElementById("dealTable");
+  if (!table) return;
+
+  const deals = dealStore.list();
+  if (deals.length === 0) {
+    table.innerHTML = "<tbody><tr><td>No saved deals yet.</td></tr></tbody>";
+    return;
+  }
+
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Deal</th>
+        <th>PLZ</th>
+        <th>Price</th>
+        <th>Profit at end</th>
+        <th>ROE p.a.</th>
+        <th>IRR</th>
+        <th>Cashflow year 1</th>
+        <th>Saved</th>
+        <th>Note</th>
+        <th>Portfolio</th>
+        <th></th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+  const tbody = table.querySelector("tbody");
+
+  for (const deal of deals) {
+    const k = deal.kpis;
+    const tr = document.createElement("tr");
+    tr.classList.toggle("best", deal.id === currentDealId);
+
+    // User text goes in via textContent
+    const cells = [
+      deal.name,
+      deal.plz || "–",
+      k ? formatCurrency(k.purchasePrice) : "–",
+      k ? formatCurrency(k.totalProfit) : "–",
+      k ? formatPercent(k.roeAnnualized, 2) : "–",
+      k ? formatOptionalPercent(k.irr) : "–",
+      k ? formatCurrency(k.year1Cashflow) : "–",
+      new Date(deal.updatedAt).toLocaleDateString("de-DE"),
+      deal.note || "",
+    ];
+    for (const text of cells) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+
+    const portfolioCell = document.createElement("td");
+    const portfolioCheck = document.createElement("input");
+    portfolioCheck.type = "checkbox";
+    portfolioCheck.checked = portfolioDealIds.has(deal.id);
+    portfolioCheck.addEventListener("change", () => {
+      if (portfolioCheck.checked) portfolioDealIds.add(deal.id);
+      else portfolioDealIds.delete(deal.id);
+    });
+    portfolioCell.appendChild(portfolioCheck);
+    tr.appendChild(portfolioCell);
+
+    const actions = document.createElement("td");
+    const buttons = [
+      ["Load", () => loadDeal(deal.id)],
+      [
+        "Duplicate",
+        () => {
+          dealStore.duplicate(deal.id);
+          renderDealList();
+        },
+      ],
+      [
+        "Delete",
+        () => {
+          if (!window.confirm(`Delete deal "${deal.name}"?`)) return;
+          dealStore.remove(deal.id);
+          portfolioDealIds.delete(deal.id);
+          if (currentDealId === deal.id) currentDealId = null;
+          renderDealList();
+        },
+      ],
+    ];
+    for (const [text, onClick] of buttons) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-secondary btn-small";
+      btn.textContent = text;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    }
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  }
+}
+
+function initDealLibrary() {
+  document.getElementById("saveDealBtn")?.addEventListener("click", () => {
+    saveCurrentDeal();
+  });
+  document.getElementById("saveDealAsNewBtn")?.addEventListener("click", () => {
+    saveCurrentDeal({ asNew: true });
+  });
+  document.getElementById("portfolioRunBtn")?.addEventListener("click", () => {
+    updatePortfolio();
+  });
+  renderDealList();
+}
+
+// ---------- Portfolio view ----------
+
+// Personal tax situation of the investor, taken from the form
+function collectInvestorFromForm(inputs) {
+  return {
+    taxMode: inputs.taxMode,
+    incomeTaxRate: inputs.incomeTaxRate,
+    otherTaxableIncome: inputs.otherTaxableIncome,
+    jointAssessment: inputs.jointAssessment,
+    churchTax: inputs.churchTax,
+    churchTaxRate: inputs.churchTaxRate,
+  };
+}
+
+function updatePortfolio() {
+  const summary = document.getElementById("portfolioSummary");
+  if (!summary) return;
+
+  const formInputs = collectInputsFromForm();
+  const investor = collectInvestorFromForm(formInputs);
+
+  const existing = dealStore
+    .list()
+    .filter((d) => portfolioDealIds.has(d.id))
+    .map((d) => ({
+      name: d.name,
+      inputs: d.inputs,
+      socioContext:
+        resolveSocioBenchmark(d.plz, socioRecords)?.record || null,
+    }));
+  const includeCurrent = parseCheckbox("portfolioIncludeCurrent");
+  const withNew = includeCurrent
+    ? [
+        ...existing,
+        {
+          name:
+            document.getElementById("dealName")?.value.trim() ||
+            "New purchase",
+          inputs: formInputs,
+          socioContext: getSelectedPlzRecord(),
+        },
+      ]
+    : existing;
+
+  if (withNew.length === 0) {
+    summary.innerHTML =
+      "<em>Tick saved deals in the list or add the current form.</em>";
+    updatePortfolioCharts(null);
+    return;
+  }
+
+  // Compare the existing portfolio with and without the new purchase
+  const columns = [];
+  if (existing.length > 0) {
+    columns.push(["Existing portfolio", runPortfolio(existing, investor)]);
+  }
+  const combined = includeCurrent ? runPortfolio(withNew, investor) : null;
+  if (combined) columns.push(["With new purchase", combined]);
+
+  // An error in one property (e.g. an unknown AfA model) makes the sums
+  // invalid
+  const invalid = new Set(
+    columns
+      .flatMap(([, portfolio]) => portfolio.properties)
+      .filter(({ result }) => hasResultErrors(result))
+      .map(({ name }) => name)
+  );
+  if (invalid.size > 0) {
+    summary.textContent = `No valid result: correct the inputs of ${[
+      ...invalid,
+    ].join(", ")}.`;
+    updatePortfolioCharts(null);
+    return;
+  }
+
+  const rows = [
+    ["Properties", (k) => String(k.propertyCount)],
+    ["Equity invested", (k) => formatCurrency(k.equityInvested)],
+    ["Total profit (end)", (k) => formatCurrency(k.totalProfit)],
+    ["Equity IRR", (k) => formatOptionalPercent(k.irr)],
+    [
+      "Cashflow after tax, first year",
+      (k) => formatCurrency(k.firstYearCashflow),
+    ],
+    ["Cumulative cashflow (end)", (k) => formatCurrency(k.cumulativeCFEnd)],
+    ["Debt at end", (k) => formatCurrency(k.remainingDebtEnd)],
+    [
+      "LTV max / end",
+      (k) => `${formatPercent(k.maxLtv)} / ${formatPercent(k.ltvEnd)}`,
+    ],
+    [
+      "Tax effect of combined taxation",
+      (k) => formatCurrency(k.taxEffectTotal),
+    ],
+  ];
+
+  summary.innerHTML = `
+    <div class="table-wrap">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${columns.map(([title]) => `<th>${title}</th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              ([label, format]) => `<tr>
+            <td>${label}</td>
+            ${columns
+              .map(([, p]) => `<td>${format(p.kpis)}</td>`)
+              .join("")}
+          </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  updatePortfolioCharts(columns[columns.length - 1][1]);
+}
+
+function updatePortfolioCharts(portfolio) {
+  if (portfolioCashflowChart) portfolioCashflowChart.destroy();
+  if (portfolioDebtChart) portfolioDebtChart.destroy();
+  portfolioCashflowChart = null;
+  portfolioDebtChart = null;
+  if (!portfolio || !window.Chart) return;
+
+  const labels = portfolio.years.map((y) => y.calendarYear);
+
+  const cfCtx = document
+    .getElementById("portfolioCashflowChart")
+    ?.getContext("2d");
+  if (cfCtx) {
+    portfolioCashflowChart = new Chart(cfCtx, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          {
+            type: "bar",
+            label: "Cashflow after tax (€)",
+            data: portfolio.years.map((y) => y.cashAfterTax),
+          },
+          {
+            type: "line",
+            label: "Cumulative cashflow (€)",
+            data: portfolio.years.map((y) => y.cumulativeCF),
+          },
+        ],
+      },
+      options: { responsive: true },
+    });
+  }
+
+  const debtCtx = document.getElementById("portfolioDebtChart")?.getContext("2d");
+  if (debtCtx) {
+    portfolioDebtChart = new Chart(debtCtx, {
+      type: "line",
+      data: {
+        labels,
+        datasets: [
+          {
+            label: "Property value (€)",
+            data: portfolio.years.map((y) => y.propertyValue),
+            yAxisID: "y",
+          },
+          {
+            label: "Remaining debt (€)",
+            data: portfolio.years.map((y) => y.remainingDebt),
+            yAxisID: "y",
+          },
+          {
+            label: "LTV (%)",
+            data: portfolio.years.map((y) => y.ltv * 100),
+            yAxisID: "y1",
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        scales: {
+          y: { position: "left", title: { display: true, text: "€" } },
+          y1: {
+            position: "right",
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: "LTV (%)" },
+          },
+        },
+      },
+    });
+  }
+}
+
+// ---------- Shareable link (URL hash) ----------
+
+// Hash written by updateUrlHash; hashchange events for it are ignored
+let lastWrittenHash = "";
+
+function showAppWarning(text) {
+  const el = document.getElementById("appWarning");
+  if (!el) return;
+  el.textContent = text;
+  el.hidden = !text;
+}
+
+function updateUrlHash() {
+  const base = scenarioResults.base;
+  if (!base) return;
+
+  lastWrittenHash = encodeUrlState({
+    inputs: baseFormInputs || base.inputs,
+    plz: getSelectedPlz(),
+    scenarios: scenarioDefinitions,
+    activeScenario,
+  });
+  // replaceState: recalculations should not fill the browser history
+  window.history.replaceState(null, "", lastWrittenHash);
+}
+
+/**
+ * Rebuild form and scenarios from the URL hash. Returns true if a state
+ * was restored; broken links leave the form as it is and show a warning.
+ */
+function restoreStateFromUrl() {
+  let state;
+  try {
+    state = decodeUrlState(window.location.hash);
+  } catch (err) {
+    showAppWarning(`${err.message} The default values are shown instead.`);
+    return false;
+  }
+  if (!state) return false;
+
+  applyInputsToForm(state.inputs);
+
+  setSelectedPlz(state.plz);
+  updatePlzSummary();
+
+  scenarioDefinitions = normalizeScenarios(state.scenarios);
+  activeScenario = state.activeScenario;
+  currentDealId = null;
+  showAppWarning("");
+  return true;
+}
+
+async function copyShareLink(button) {
+  updateUrlHash();
+  const link = window.location.href;
+  try {
+    await navigator.clipboard.writeText(link);
+    const text = button.textContent;
+    button.textContent = "Link copied";
+    setTimeout(() => {
+      button.textContent = text;
+    }, 2000);
+  } catch (err) {
+    // No clipboard access (e.g. file:// or older browsers)
+    window.prompt("Copy this link:", link);
+  }
+}
+
+// ---------- Investment memo (PDF) ----------
+
+// jsPDF + autotable plugin from CDN (global window.jspdf)
+function downloadInvestmentMemo() {
+  const jsPDF = window.jspdf?.jsPDF;
+  const data = scenarioResults[activeScenario];
+  if (!data) return;
+  if (hasResultErrors(data.result)) {
+    window.alert("No valid result: correct the inputs first.");
+    return;
+  }
+  if (!jsPDF || !jsPDF.API.autoTable) {
+    window.alert("PDF export is not available (jsPDF did not load).");
+    return;
+  }
+
+  // Active scenario first, the others follow for the comparison
+  const scenarios = [
+    activeScenario,
+    ...scenarioDefinitions
+      .map((s) => s.id)
+      .filter((id) => id !== activeScenario),
+  ]
+    .filter((id) => scenarioResults[id])
+    .map((id) => ({
+      name: getScenarioName(id),
+      inputs: scenarioResults[id].inputs,
+      result: scenarioResults[id].result,
+    }));
+
+  const charts = [
+    ["Cashflow", cashflowChart],
+    ["Equity position", equityChart],
+    ["Property value & debt", propDebtChart],
+  ]
+    .filter(([, chart]) => chart)
+    .map(([title, chart]) => ({ title, image: chart.toBase64Image() }));
+
+  const name = document.getElementById("dealName")?.value.trim() || "";
+  const doc = createInvestmentMemo(jsPDF, {
+    title: name || "Real estate investment",
+    address: document.getElementById("dealAddress")?.value.trim() || "",
+    plz: getSelectedPlz(),
+    scenarios,
+    allScenarios: parseCheckbox("memoAllScenarios"),
+    charts,
+    socioRecord: getSelectedPlzRecord(),
+    socioSource: describeBenchmark(getSelectedBenchmark()),
+    labelFor: describeInputPath,
+    isRate: isRatePath,
+  });
+
+  const fileName = (name || "investment-memo")
+    .replace(/[^\w\-äöüÄÖÜß]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  doc.save(`${fileName || "investment-memo"}.pdf`);
+}
+
 // ---------- Wire up buttons & tabs ----------
 
 document.addEventListener("DOMContentLoaded", () => {
-  initPlzSelect();
+  initTrancheList();
+  initRentRoll();
+  initCapexEvents();
+  initMonteCarloPanel();
+  initSensitivityPanel();
+  initRankingPanel();
+  initScenarioEditor();
+  initDealLibrary();
+  initYearlyTable();
+  initPlzSearch();
+  initSocioImport();
   updatePlzSummary();
 
   const btn = document.getElementById("runCalcBtn");
@@ -572,23 +3320,41 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  const tabs = document.querySelectorAll(".scenario-tab");
-  tabs.forEach((tab) => {
-    tab.addEventListener("click", () => {
-      const scenarioKey = tab.dataset.scenario;
-      if (!scenarioKey) return;
-      activeScenario = scenarioKey;
-      renderScenario(activeScenario);
+  const exitSweepToggle = document.getElementById("exitSweepToggle");
+  if (exitSweepToggle) {
+    exitSweepToggle.addEventListener("change", () => {
+      updateExitSweep();
+    });
+  }
+
+  const downloadScheduleBtn = document.getElementById("downloadScheduleBtn");
+  if (downloadScheduleBtn) {
+    downloadScheduleBtn.addEventListener("click", () => {
+      downloadMonthlySchedule();
     });
+  }
+
+  const copyLinkBtn = document.getElementById("copyLinkBtn");
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener("click", () => {
+      copyShareLink(copyLinkBtn);
+    });
+  }
+
+  // A link pasted into the address bar of an open tab
+  window.addEventListener("hashchange", () => {
+    if (window.location.hash === lastWrittenHash) return;
+    if (restoreStateFromUrl()) recalcAllScenarios();
   });
 
-  const printBtn = document.getElementById("printBtn");
-  if (printBtn) {
-    printBtn.addEventListener("click", () => {
-      window.print();
+  const memoBtn = document.getElementById("memoBtn");
+  if (memoBtn) {
+    memoBtn.addEventListener("click", () => {
+      downloadInvestmentMemo();
     });
   }
 
-  // Run once on load with default values
+  // Run once on load with the values from the link or the defaults
+  restoreStateFromUrl();
   recalcAllScenarios();
 });
@@ -0,0 +1,93 @@
+// metrics.js
+// Time-value KPIs for the equity cashflow series: NPV, IRR, XIRR, payback.
+// Cashflows: negative = money the investor puts in, positive = money back.
+// All rates are DECIMALS (e.g. 0.08 for 8%).
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// -------------------------------------------------------------
+// 1. NPV / IRR for yearly periods (index 0 = today)
+// -------------------------------------------------------------
+
+export function npv(rate, cashflows) {
+  return cashflows.reduce(
+    (sum, cf, t) => sum + cf / Math.pow(1 + rate, t),
+    0
+  );
+}
+
+// Root of f between lo and hi by bisection; null if there is no sign change
+function bisect(f, lo, hi, iterations = 200) {
+  let fLo = f(lo);
+  const fHi = f(hi);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) {
+    return null;
+  }
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (Math.abs(fMid) < 1e-9 || hi - lo < 1e-12) return mid;
+    if (fLo * fMid < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Internal rate of return of yearly cashflows.
+ * Returns null when the series has no sign change (no IRR exists).
+ */
+export function irr(cashflows) {
+  const hasIn = cashflows.some((cf) => cf < 0);
+  const hasOut = cashflows.some((cf) => cf > 0);
+  if (!hasIn || !hasOut) return null;
+
+  // Bisection is slower than Newton but never runs away; -99.99 % .. 1000 %
+  return bisect((r) => npv(r, cashflows), -0.9999, 10);
+}
+
+// -------------------------------------------------------------
+// 2. XIRR for dated cashflows (Excel convention: actual/365)
+// -------------------------------------------------------------
+
+export function xnpv(rate, flows) {
+  if (flows.length === 0) return 0;
+  const t0 = flows[0].date.getTime();
+  return flows.reduce((sum, { date, amount }) => {
+    const years = (date.getTime() - t0) / MS_PER_DAY / 365;
+    return sum + amount / Math.pow(1 + rate, years);
+  }, 0);
+}
+
+/**
+ * @param {Array<{date: Date, amount: number}>} flows - sorted by date
+ * @returns {number|null} annual rate, or null if none exists
+ */
+export function xirr(flows) {
+  const hasIn = flows.some((f) => f.amount < 0);
+  const hasOut = flows.some((f) => f.amount > 0);
+  if (!hasIn || !hasOut) return null;
+
+  return bisect((r) => xnpv(r, flows), -0.9999, 10);
+}
+
+// -------------------------------------------------------------
+// 3. Payback
+// -------------------------------------------------------------
+
+/**
+ * First period in which the cumulative cashflow (including the initial
+ * outflow at index 0) is no longer negative. null = never within series.
+ */
+export function paybackPeriod(cashflows) {
+  let cumulative = 0;
+  for (let t = 0; t < cashflows.length; t++) {
+    cumulative += cashflows[t];
+    if (t > 0 && cumulative >= 0) return t;
+  }
+  return null;
+}
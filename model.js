@@ -2,52 +2,53 @@
 // Core calculation engine for the real estate investment tool.
 // All money values are in EUR, all rates are DECIMALS (e.g. 0.04 for 4%).
 
-// -------------------------------------------------------------
-// 1. Helper: Excel-like PMT (annuity payment) for yearly payments
-// -------------------------------------------------------------
-function pmt(rate, nper, pv) {
-  // rate: interest rate per period (decimal)
-  // nper: number of periods (years)
-  // pv:   present value (loan amount, positive)
-  if (Math.abs(rate) < 1e-9) {
-    return nper > 0 ? pv / nper : 0;
-  }
-  return (pv * rate) / (1 - Math.pow(1 + rate, -nper));
-}
+import {
+  buildLegacyTranches,
+  createLoanBook,
+  resolveTranches,
+} from "./financing.js";
+import { afaForYear, planAfa } from "./afa.js";
+import { irr, npv, paybackPeriod, xirr } from "./metrics.js";
+import { normalizeCapexEvents, planCapex } from "./capex.js";
+import { createCostLedger } from "./operatingCosts.js";
+import { buildRentPath, rentPathWarnings } from "./rentPath.js";
+import { buildRentRoll, normalizeUnits, rentRollTotals } from "./rentRoll.js";
+import { marginalTaxRate, taxDifference } from "./tax.js";
+import { applySocioDefaults, buildSocioWarnings } from "./socioInsights.js";
 
 // -------------------------------------------------------------
-// 2. Helper: AfA rate per year based on selected model
+// 1. Helper: dates with month precision ("YYYY-MM")
 // -------------------------------------------------------------
-function getAfaRate(afaModel, year, lifetimeYears = 50) {
-  const y = year;
-
-  switch (afaModel) {
-    case "Linear 2%":
-    case "Linear 2% p.a.":
-      return y <= 50 ? 0.02 : 0.0;
-
-    case "Linear 3%":
-    case "Linear 3% p.a.":
-      return y <= 33 ? 0.03 : 0.0;
-
-    case "Degressive 5% + Linear 2%":
-      return y <= 6 ? 0.05 : 0.02;
+export function parseYearMonth(value) {
+  if (typeof value !== "string") return null;
+  const match = /^(\d{4})-(\d{1,2})$/.exec(value.trim());
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  return { year, month };
+}
 
-    case "Degressive 5% + Linear 3%":
-      return y <= 6 ? 0.05 : 0.03;
+function addMonths({ year, month }, months) {
+  const index = year * 12 + (month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
 
-    case "Linear 1/Restnutzungsdauer":
-    case "Linear 1 / remaining life":
-      return y <= lifetimeYears ? 1 / lifetimeYears : 0.0;
+function monthsBetween(from, to) {
+  return (to.year - from.year) * 12 + (to.month - from.month);
+}
 
-    default:
-      // Fallback: assume 2%
-      return 0.02;
-  }
+function formatYearMonth({ year, month }) {
+  return `${year}-${String(month).padStart(2, "0")}`;
 }
 
+// Private sales are taxable if purchase and sale are no more than ten years
+// apart (§23 Abs. 1 Nr. 1 EStG). With month precision a sale in the same
+// month ten years later still counts as inside the period.
+const SPECULATION_PERIOD_MONTHS = 120;
+
 // -------------------------------------------------------------
-// 3. Main simulation function
+// 2. Main simulation function
 // -------------------------------------------------------------
 
 /**
@@ -57,15 +58,54 @@ function getAfaRate(afaModel, year, lifetimeYears = 50) {
  *   IMPORTANT: All rates must be given as DECIMALS:
  *     4 % -> 0.04, 1.5 % -> 0.015
  *
- * @param {Object|null} socioContext - Optional PLZ-based context (we may
- *   use it later for hints; it doesn't change the math here directly).
+ * @param {Array} inputs.rentRoll - Optional units of a multi-family
+ *   building (see rentRoll.js). When given, rent, size and vacancy come
+ *   from the units. monthlyRent then scales the rents of all units against
+ *   their total (scenarios, sensitivity, Monte Carlo), vacancyRate is a
+ *   structural vacancy on top of the re-letting vacancy (empty = 0), and
+ *   sqm is not used.
  *
- * @returns {Object} { years: [...], kpis: {...}, meta: {...} }
+ * @param {Object|null} socioContext - Optional socio record of the PLZ
+ *   (socioData fields). Empty rent, vacancy, rent growth and land growth
+ *   inputs are filled from it (see socioInsights.js), and the deal is
+ *   checked against it.
+ *
+ * @returns {Object} { years: [...], monthlySchedule: [...], kpis: {...},
+ *   meta: {...}, warnings: [{ code, severity, message }] }; a warning
+ *   with severity "error" means the figures are not valid
  */
 export function simulateScenario(inputs = {}, socioContext = null) {
-  // --- 3.1 Unpack inputs with sane defaults ------------------
+  // --- 2.1 Unpack inputs with sane defaults ------------------
+  // A rent roll sets rent and size of the object; empty inputs are taken
+  // from the location data
+  const rollUnits = normalizeUnits(inputs.rentRoll);
+  const rollTotals = rentRollTotals(rollUnits);
+  // A changed object rent (e.g. scenario "rent -5 %") scales every unit
+  const unitRentFactor =
+    inputs.monthlyRent > 0 && rollTotals.monthlyRent > 0
+      ? inputs.monthlyRent / rollTotals.monthlyRent
+      : 1;
+  const units = rollUnits.map((u) => ({
+    ...u,
+    monthlyRent: u.monthlyRent * unitRentFactor,
+    marketRent: u.marketRent * unitRentFactor,
+  }));
+  const unitTotals = rentRollTotals(units);
+  const objectInputs =
+    units.length > 0
+      ? {
+          ...inputs,
+          monthlyRent: unitTotals.monthlyRent,
+          sqm: unitTotals.sqm,
+          vacancyRate: inputs.vacancyRate ?? 0,
+        }
+      : inputs;
+  const { inputs: resolvedInputs, applied: socioDefaults } =
+    applySocioDefaults(objectInputs, socioContext);
+
   const {
-    startYear = new Date().getFullYear(),
+    startYear: startYearInput = new Date().getFullYear(),
+    purchaseDate = null, // "YYYY-MM"; sets the start year and holding period
 
     // Property values
     buildingValue = 0,
@@ -81,15 +121,25 @@ export function simulateScenario(inputs = {}, socioContext = null) {
     // Initial CAPEX / repairs
     fittingUp = 0, // value-enhancing
     initialRepairs = 0, // repairs in year 1
+    capexEvents = [], // [{ name, year, amount, category }], see capex.js
 
     // Value development
     buildingLossRate = 0, // value loss p.a.
     landGrowthRate = 0, // land value growth p.a.
     constructionCostGrowth = 0, // building cost inflation p.a.
 
-    // Operating / maintenance
-    annualMaintenance = 0, // year 1, recurring
-    maintenanceGrowth = 0, // p.a.
+    // Operating costs (see operatingCosts.js); Hausgeld lines per month
+    hausgeldRecoverable = 0, // umlagefähig, passed on to the tenant
+    hausgeldNonRecoverable = 0,
+    hausgeldReserve = 0, // Erhaltungsrücklage
+    propertyTax = 0, // Grundsteuer p.a., recoverable
+    insurance = 0, // own insurance p.a., not recoverable
+    managementFee = 0, // Sondereigentumsverwaltung per month
+    annualMaintenance = 0, // own maintenance, year 1, recurring
+    maintenanceGrowth = 0, // growth of all running costs p.a.
+    specialLevies = [], // Sonderumlagen [{ year, amount }]
+    reserveBalanceStart = 0, // share of the reserve at purchase
+    reserveUsageRate = 0.1, // share of the reserve spent p.a.
 
     // Rent & vacancy
     sqm = 0, // just for reference
@@ -97,24 +147,63 @@ export function simulateScenario(inputs = {}, socioContext = null) {
     vacancyRate = 0, // share of year empty
     rentGrowth = 0, // p.a.
 
-    // Taxes
-    incomeTaxRate = 0, // applies to rental and (simplified) capital gains
+    // Rent roll: re-letting of a unit (see rentRoll.js)
+    reletVacancyMonths = 3, // empty months per re-let
+    reletCostPerSqm = 0, // EUR per m² and re-let
 
-    // Financing - loan 1
+    // Lease and rent law (see rentPath.js)
+    leaseType = "standard", // "standard" | "index" | "stepped"
+    cpiGrowth = 0.02, // p.a., index lease
+    rentSteps = [], // [{ year, monthlyRent }], stepped lease
+    referenceRentPerSqm = 0, // Vergleichsmiete €/m²; 0 = unknown
+    referenceRentGrowth = null, // p.a.; null = same as rentGrowth
+    tightMarket = false, // angespannter Wohnungsmarkt
+    newLease = false, // new lease at purchase (Mietpreisbremse)
+    enforceRentCaps = false, // model the legal rent path
+
+    // Taxes
+    holdingStructure = "private", // "private" | "gmbh"
+    taxMode = "flat", // "flat" | "progressive" (§32a EStG, see tax.js)
+    incomeTaxRate = 0, // "flat": applies to rental and capital gains
+
+    // "progressive": rental result is taxed on top of the other income
+    otherTaxableIncome = 0, // EUR p.a., zu versteuerndes Einkommen
+    jointAssessment = false, // Zusammenveranlagung (splitting)
+    churchTax = false,
+    churchTaxRate = 0.09, // 0.08 in Bavaria / Baden-Württemberg
+
+    // "gmbh": vermögensverwaltende GmbH (asset-holding company)
+    corporateTaxRate = 0.15825, // KSt 15 % + Soli
+    extendedTradeTaxDeduction = true, // erweiterte Kürzung, §9 Nr. 1 GewStG
+    tradeTaxRate = 0.14, // only without extended deduction (Hebesatz 400 %)
+    dividendPayoutRate = 0, // share of positive cashflow paid out p.a.
+    dividendTaxRate = 0.26375, // Abgeltungsteuer + Soli on dividends
+
+    // Financing
     equity = 0,
+    discountRate = 0, // Disagio as decimal (e.g. 0.05 for 5 %)
+    loans = null, // list of tranches, see financing.js
+
+    // Special repayments (Sondertilgung), booked at the end of each year
+    specialRepaymentMode = "none", // "none" | "fixed" | "sweep"
+    specialRepaymentAmount = 0, // EUR per year ("fixed")
+    specialRepaymentSweepRate = 0, // share of positive after-tax CF ("sweep")
+    specialRepaymentCapRate = 0.05, // contract limit p.a., share of principal
+
+    // Financing - legacy single loan, used when `loans` is not given
     loanTermYears1 = 0,
-    fixRateYears1 = 0, // currently not used differently than term
+    fixRateYears1 = 0, // Zinsbindung; 0 or >= term = fixed for whole term
     interestRate1 = 0, // decimal
-    discountRate = 0, // Disagio as decimal (e.g. 0.05 for 5 %)
 
-    // Financing - loan 2 (refinancing)
-    loanTermYears2 = 0,
-    interestRate2 = interestRate1, // if not set, use same as loan 1
+    // Financing - loan 2 (follow-up financing / Anschlussfinanzierung)
+    loanTermYears2 = 0, // 0 = continue the remaining term of loan 1
+    interestRate2 = interestRate1, // follow-up rate; if not set, same as loan 1
 
     // Sale vs hold
     sellingCostRate = 0, // % of property value, as decimal
     saleMode = "hold", // "hold" | "sell"
-    saleYear = null, // if saleMode === "sell", year (1..horizon)
+    saleYear: saleYearInput = null, // if saleMode === "sell", year (1..horizon)
+    saleDate = null, // "YYYY-MM"; overrides saleYear when selling
 
     // Horizon
     investmentHorizonYears = 30,
@@ -123,14 +212,85 @@ export function simulateScenario(inputs = {}, socioContext = null) {
     altReturnBeforeTax = 0,
     altTaxRate = incomeTaxRate,
 
+    // Discount rate for the NPV of the equity cashflows
+    npvDiscountRate = 0,
+
     // AfA
-    afaModel = "Linear 2%", // see getAfaRate
-    buildingLifetimeYears = 50,
-  } = inputs;
+    afaModel = "Linear 2%", // see afa.js
+    buildingLifetimeYears = 50, // "Linear 1/Restnutzungsdauer"
+    afaSchedule = [], // [{ year, rate }], "Custom schedule"
+    buildingPermitDate = null, // "YYYY-MM", Bauantrag (§7b)
+    efficiencyHouse40 = false, // EH40 with QNG seal (§7b)
+    specialAfaCost = 0, // certified modernisation costs (§7h / §7i)
+    specialAfaCertified = false, // certificate of the authority (§7h / §7i)
+    builtBefore1925 = false, // old substance 2.5 % (§7h / §7i)
+  } = resolvedInputs;
 
   const horizonYears = Math.max(1, investmentHorizonYears || 1);
 
-  // --- 3.2 Basic investment & AfA basis -----------------------
+  // Monthly rent per holding year, assumed or within the legal caps
+  const lease = {
+    monthlyRent,
+    sqm,
+    leaseType,
+    rentGrowth,
+    cpiGrowth,
+    rentSteps,
+    referenceRentPerSqm,
+    referenceRentGrowth: referenceRentGrowth ?? rentGrowth,
+    tightMarket,
+    newLease,
+    enforceRentCaps,
+  };
+  const rentPath = buildRentPath(lease, horizonYears);
+
+  // --- 2.2 Purchase & sale dates -----------------------------
+  // Holding year k runs from the purchase month + (k - 1) * 12 months. A sale
+  // date inside holding year k, or at its end (k * 12 months after the
+  // purchase), is booked at the end of that year; without a sale date the
+  // sale is at the end of holding year saleYear.
+  const purchase = parseYearMonth(purchaseDate) || {
+    year: startYearInput,
+    month: 1,
+  };
+  const startYear = purchase.year;
+
+  let saleYear = null;
+  let saleAt = null;
+  if (saleMode === "sell") {
+    const parsedSaleDate = parseYearMonth(saleDate);
+    if (parsedSaleDate && monthsBetween(purchase, parsedSaleDate) >= 0) {
+      saleAt = parsedSaleDate;
+      saleYear = Math.max(1, Math.ceil(monthsBetween(purchase, saleAt) / 12));
+    } else if (saleYearInput != null) {
+      saleYear = saleYearInput;
+      saleAt = addMonths(purchase, saleYear * 12);
+    }
+  }
+  const monthsHeld = saleAt ? monthsBetween(purchase, saleAt) : null;
+  const speculativeSale =
+    monthsHeld != null && monthsHeld <= SPECULATION_PERIOD_MONTHS;
+
+  // Rent, vacancy and re-letting per holding year from the units
+  const rentRoll =
+    units.length > 0
+      ? buildRentRoll(
+          units.map((u) => {
+            const leaseStart = parseYearMonth(u.leaseStart);
+            return {
+              ...u,
+              startOffsetMonths: leaseStart
+                ? monthsBetween(purchase, leaseStart)
+                : 0,
+            };
+          }),
+          { lease, years: horizonYears, reletVacancyMonths, reletCostPerSqm }
+        )
+      : null;
+  // Rent path of the whole object, for the cap flags and warnings
+  const objectRentPath = rentRoll ? rentRoll.path : rentPath;
+
+  // --- 2.3 Basic investment & AfA basis -----------------------
   const purchasePrice = buildingValue + landValue;
 
   const sideCostRate =
@@ -145,132 +305,280 @@ export function simulateScenario(inputs = {}, socioContext = null) {
   const financingNeed = totalInvestment - equity;
 
   const payoutFactor = 1 - (discountRate || 0); // Auszahlungs-Kurs
-  const loanAmount1 =
+  const loanAmountTotal =
     Math.abs(payoutFactor) > 1e-9 ? financingNeed / payoutFactor : financingNeed;
 
-  const disagio = loanAmount1 - financingNeed; // tax-relevant in year 1 only
-
-  // AfA basis: building + fittingUp + building share of ENK
+  // --- 2.4 Loan tranches ---------------------------------------
+  // Without an explicit tranche list, loan 1 + follow-up financing form a
+  // single annuity tranche that takes the whole financing need.
+  const tranches = resolveTranches(
+    Array.isArray(loans) && loans.length > 0
+      ? loans
+      : buildLegacyTranches({
+          loanTermYears1,
+          fixRateYears1,
+          interestRate1,
+          loanTermYears2,
+          interestRate2,
+        }),
+    loanAmountTotal
+  );
+
+  const loanNominal = tranches.reduce((sum, t) => sum + t.principal, 0);
+  const loanPayout = loanNominal * payoutFactor;
+  const disagio = loanNominal - loanPayout; // tax-relevant in year 1 only
+
+  // Tranches that do not add up to the financing need: the investor brings
+  // the gap as extra equity (negative = surplus cash)
+  const financingGap = financingNeed - loanPayout;
+
+  // AfA basis: building + fittingUp + building share of ENK, plus CapEx
+  // that has to be depreciated (added in its year)
   const buildingShare = purchasePrice > 0 ? buildingValue / purchasePrice : 0;
-  const afaBasis =
-    buildingValue + (fittingUp || 0) + sideCostsVariable * buildingShare;
-
-  // --- 3.3 Loan schedule for loan 1 + loan 2 ------------------
-
-  const r1 = interestRate1 || 0;
-  const r2 = interestRate2 || 0;
-  const n1 = loanTermYears1 || 0;
-  const n2 = loanTermYears2 || 0;
-
-  const annuity1 = n1 > 0 ? pmt(r1, n1, loanAmount1) : 0;
-
-  let remainingDebt = loanAmount1; // at start of year 1
+  const buildingCost = buildingValue + sideCostsVariable * buildingShare;
+  const capexPlan = planCapex(normalizeCapexEvents(capexEvents), {
+    buildingCost,
+    initialRepairs: initialRepairs || 0,
+  });
+  const capitalizedInitialRepairs = capexPlan.initialRepairsCapitalized
+    ? initialRepairs
+    : 0;
+  let afaBasis = buildingCost + (fittingUp || 0) + capitalizedInitialRepairs;
+  const afaPlan = planAfa({
+    afaModel,
+    basis: afaBasis,
+    sqm,
+    lifetimeYears: buildingLifetimeYears,
+    schedule: afaSchedule,
+    buildingPermit: parseYearMonth(buildingPermitDate),
+    efficiencyHouse40,
+    specialAfaCost,
+    specialAfaCertified,
+    builtBefore1925,
+  });
+
+  const loanBook = createLoanBook(tranches, { specialRepaymentCapRate });
+
+  let remainingDebt = loanNominal; // at start of year 1
   let cumPrincipal = 0; // sum of all principal repaid over time
-  let annuity2 = 0;
-  let secondLoanStarted = false;
+  let cumInterest = 0;
+  let cumSpecialRepayment = 0;
+  const refinancings = []; // one entry per tranche whose fixed rate ends
+
+  // --- 2.5 Tax subject: private investor or GmbH ---------------
+  // In a GmbH, rental profits and sale gains pay corporate tax (trade tax
+  // only without the extended deduction). Losses stay in the company and
+  // are carried forward; there is no tax-free sale after 10 years.
+  const isCompany = holdingStructure === "gmbh";
+  const companyTaxRate =
+    corporateTaxRate + (extendedTradeTaxDeduction ? 0 : tradeTaxRate);
+
+  let lossCarryforward = 0;
+  let cumDividends = 0;
+  let cumDividendTax = 0;
+
+  function companyTaxOn(profit) {
+    if (profit <= 0) {
+      lossCarryforward += -profit;
+      return 0;
+    }
+    const used = Math.min(lossCarryforward, profit);
+    lossCarryforward -= used;
+    return (profit - used) * companyTaxRate;
+  }
 
-  // --- 3.4 Property values at start (year 0) ------------------
+  // --- 2.6 Property values at start (year 0) ------------------
   let landVal = landValue;
   let buildingVal = buildingValue + (fittingUp || 0);
   let propertyVal = landVal + buildingVal;
 
-  // --- 3.5 Yearly simulation ----------------------------------
+  // --- 2.7 Yearly simulation ----------------------------------
   let cumulativeCF = 0;
   const years = [];
   let saleHappened = false;
 
+  const costLedger = createCostLedger({
+    hausgeldRecoverable,
+    hausgeldNonRecoverable,
+    hausgeldReserve,
+    propertyTax,
+    insurance,
+    managementFee,
+    annualMaintenance,
+    costGrowth: maintenanceGrowth,
+    specialLevies,
+    reserveBalanceStart,
+    reserveUsageRate,
+  });
+
+  // Depreciation claimed so far; reduces the book value and thus the
+  // basis for taxable sale gains (§23 Abs. 3 Satz 4 EStG)
+  let accumulatedDepreciation = 0;
+
   // For CGT basis (simplified): purchase price + value-enhancing costs
-  const purchaseCostBasis =
-    purchasePrice + (fittingUp || 0) + sideCostsVariable * buildingShare;
+  let purchaseCostBasis =
+    purchasePrice +
+    (fittingUp || 0) +
+    sideCostsVariable * buildingShare +
+    capitalizedInitialRepairs;
 
   for (let year = 1; year <= horizonYears; year++) {
     const calendarYear = startYear + year - 1;
 
-    // ---- Loan phase detection ----
-    let interestPaid = 0;
-    let principalPaid = 0;
-    let annualPayment = 0;
-
-    const withinLoan1 = year <= n1 && remainingDebt > 1e-6;
-    const withinLoan2 =
-      !withinLoan1 &&
-      n2 > 0 &&
-      year <= n1 + n2 &&
-      remainingDebt > 1e-6;
-
-    if (withinLoan1) {
-      // Loan 1 years
-      annualPayment = annuity1;
-      interestPaid = remainingDebt * r1;
-      principalPaid = Math.min(annualPayment - interestPaid, remainingDebt);
-      remainingDebt = Math.max(remainingDebt - principalPaid, 0);
-      cumPrincipal += principalPaid;
-    } else if (withinLoan2) {
-      // First year of loan 2: compute annuity2 based on remainingDebt and n2
-      if (!secondLoanStarted) {
-        annuity2 = pmt(r2, n2, remainingDebt);
-        secondLoanStarted = true;
-      }
-      annualPayment = annuity2;
-      interestPaid = remainingDebt * r2;
-      principalPaid = Math.min(annualPayment - interestPaid, remainingDebt);
-      remainingDebt = Math.max(remainingDebt - principalPaid, 0);
-      cumPrincipal += principalPaid;
-    } else {
-      // No loan or already fully repaid
-      interestPaid = 0;
-      principalPaid = 0;
-      annualPayment = 0;
-    }
+    // ---- Loan service for all tranches ----
+    const loanYear = loanBook.runYear(year, calendarYear);
+    const interestPaid = loanYear.interestPaid;
+    const principalPaid = loanYear.principalPaid;
+    remainingDebt = loanYear.remainingDebt;
+    cumPrincipal += principalPaid;
+    cumInterest += interestPaid;
+
+    const events = [...loanYear.events];
+    refinancings.push(...loanYear.events);
 
     // ---- Rent & vacancy ----
-    const grossRent =
-      monthlyRent * 12 * Math.pow(1 + rentGrowth, Math.max(year - 1, 0));
-    const netRent = grossRent * (1 - vacancyRate);
-
-    // ---- Maintenance & repairs ----
-    let maintenance;
-    if (year === 1) {
-      // year 1: recurring + initial repairs
-      maintenance = -(annualMaintenance + initialRepairs);
-    } else {
-      // following years: recurring with growth
-      maintenance =
-        -annualMaintenance * Math.pow(1 + maintenanceGrowth, year - 1);
-    }
+    const unitYear = rentRoll ? rentRoll.years[year - 1] : null;
+    const grossRent = unitYear
+      ? unitYear.grossRent
+      : rentPath.monthlyRents[year - 1] * 12;
+    const rentCapped =
+      enforceRentCaps && objectRentPath.capReasons[year - 1] != null;
+    const netRent = unitYear
+      ? (grossRent - unitYear.vacancyLoss) * (1 - vacancyRate)
+      : grossRent * (1 - vacancyRate);
+    const reletCosts = unitYear ? -unitYear.reletCosts : 0;
+
+    // ---- Operating costs ----
+    const costs = costLedger.runYear(
+      year,
+      grossRent > 0 ? 1 - netRent / grossRent : 0
+    );
+    const maintenance = costs.maintenance;
+
+    // ---- CapEx: initial repairs and planned events ----
+    const capexThisYear = capexPlan.events.filter((e) => e.year === year);
+    const sumOf = (treatment) =>
+      capexThisYear
+        .filter((e) => e.treatment === treatment)
+        .reduce((sum, e) => sum + e.amount, 0);
+    const initialRepairsThisYear = year === 1 ? initialRepairs || 0 : 0;
+    const capexCapitalized =
+      -sumOf("capitalized") -
+      (capexPlan.initialRepairsCapitalized ? initialRepairsThisYear : 0);
+    const capexDeducted =
+      -sumOf("deducted") -
+      (capexPlan.initialRepairsCapitalized ? 0 : initialRepairsThisYear);
+    // Depreciated from the year they are paid, and part of the cost basis
+    // for a sale
+    afaBasis += sumOf("capitalized");
+    purchaseCostBasis += sumOf("capitalized");
 
     // ---- Depreciation (AfA) ----
-    const afaRate = getAfaRate(afaModel, year, buildingLifetimeYears);
-    const depreciation = -afaBasis * afaRate;
+    const depreciation = -afaForYear(afaPlan, year, {
+      basis: afaBasis,
+      claimed: accumulatedDepreciation,
+    });
+    accumulatedDepreciation += -depreciation;
+    const bookValue = purchaseCostBasis - accumulatedDepreciation;
 
     // ---- Interest & principal as cash flows ----
     const interestExpense = -interestPaid; // negative: expense
     const principalFlow = -principalPaid; // negative: cash outflow
 
     // ---- Taxable result from rental (simplified) ----
-    let taxable = netRent + maintenance + interestExpense + depreciation;
+    let taxable =
+      netRent +
+      costs.deductible +
+      reletCosts +
+      capexDeducted +
+      interestExpense +
+      depreciation;
 
     // Disagio only in year 1 (expense)
     if (year === 1 && Math.abs(disagio) > 1e-6) {
       taxable += -disagio;
     }
 
-    const taxCash = -incomeTaxRate * taxable; // >0 = tax saving, <0 = tax payment
+    // >0 = tax saving, <0 = tax payment
+    const taxOptions = {
+      year: calendarYear,
+      jointAssessment,
+      churchTax,
+      churchTaxRate,
+    };
+    let taxCash;
+    let marginalRate;
+    let corporateTax = 0;
+    if (isCompany) {
+      corporateTax = companyTaxOn(taxable);
+      taxCash = -corporateTax;
+      marginalRate = companyTaxRate;
+    } else if (taxMode === "progressive") {
+      taxCash = -taxDifference(otherTaxableIncome, taxable, taxOptions);
+      marginalRate = marginalTaxRate(otherTaxableIncome + taxable, taxOptions);
+    } else {
+      taxCash = -incomeTaxRate * taxable;
+      marginalRate = incomeTaxRate;
+    }
 
     // ---- Cashflow before & after tax ----
-    const cashBeforeTax = netRent + maintenance + interestExpense + principalFlow;
+    let cashBeforeTax =
+      netRent +
+      costs.cash +
+      reletCosts +
+      capexDeducted +
+      capexCapitalized +
+      interestExpense +
+      principalFlow;
     let cashAfterTax = cashBeforeTax + taxCash;
 
+    // ---- Special repayment (Sondertilgung) at year end ----
+    // Not in the sale year: the sale proceeds repay the whole debt anyway.
+    let specialRepayment = 0;
+    const saleThisYear =
+      saleMode === "sell" && saleYear != null && year === saleYear;
+    if (!saleThisYear && specialRepaymentMode !== "none") {
+      const wanted =
+        specialRepaymentMode === "sweep"
+          ? specialRepaymentSweepRate * Math.max(cashAfterTax, 0)
+          : specialRepaymentAmount;
+      specialRepayment = loanBook.applySpecialRepayment(wanted, loanYear);
+      cashBeforeTax -= specialRepayment;
+      cashAfterTax -= specialRepayment;
+      cumPrincipal += specialRepayment;
+      cumSpecialRepayment += specialRepayment;
+      remainingDebt = loanYear.remainingDebt;
+    }
+
+    // ---- GmbH: dividend payout, taxed at the shareholder ----
+    // Simplified: paid from the year's positive cashflow, without checking
+    // the distributable profit of the company's balance sheet.
+    let dividendPaid = 0;
+    let dividendTax = 0;
+    if (isCompany && dividendPayoutRate > 0 && cashAfterTax > 0) {
+      dividendPaid = dividendPayoutRate * cashAfterTax;
+      dividendTax = dividendPaid * dividendTaxRate;
+      cashAfterTax -= dividendTax;
+      cumDividends += dividendPaid;
+      cumDividendTax += dividendTax;
+    }
+
     // ---- Update property values (still owning the property) ----
+    // CapEx events add to the building value; the initial repairs only
+    // restore the value paid for
     landVal = landVal * (1 + landGrowthRate);
     buildingVal =
-      buildingVal * (1 - buildingLossRate + constructionCostGrowth);
+      (buildingVal + capexThisYear.reduce((sum, e) => sum + e.amount, 0)) *
+      (1 - buildingLossRate + constructionCostGrowth);
     propertyVal = landVal + buildingVal;
 
     // ---- Cumulative cashflow before any sale ----
     cumulativeCF += cashAfterTax;
 
     // ---- Wealth from CF & loan (Z_t) ----
+    let saleProceeds = 0;
+    let capitalGain = 0;
+    let capitalGainsTax = 0;
     let wealthFromCFAndLoan = cumulativeCF + cumPrincipal;
     let equityPosition = propertyVal + wealthFromCFAndLoan - totalInvestment;
 
@@ -284,20 +592,39 @@ export function simulateScenario(inputs = {}, socioContext = null) {
       // Sale price minus selling costs
       const saleGross = propertyVal * (1 - sellingCostRate);
 
-      // Capital gain (simplified)
-      const capitalGain = saleGross - purchaseCostBasis;
+      // Capital gain against the book value (cost basis minus AfA claimed)
+      capitalGain = saleGross - bookValue;
 
-      // Speculation rule: tax only if holding <= 10 years
+      // Speculation rule: tax only if purchase and sale are no more than
+      // 10 years apart; a GmbH pays corporate tax on every gain
       let cgt = 0;
-      if (saleYear <= 10 && capitalGain > 0) {
-        cgt = capitalGain * incomeTaxRate;
+      if (isCompany) {
+        cgt = companyTaxOn(capitalGain);
+        corporateTax += cgt;
+      } else if (speculativeSale && capitalGain > 0) {
+        cgt =
+          taxMode === "progressive"
+            ? taxDifference(
+                otherTaxableIncome + taxable,
+                capitalGain,
+                taxOptions
+              )
+            : capitalGain * incomeTaxRate;
       }
 
-      // Repay remaining debt from sale proceeds
-      const repayDebt = remainingDebt;
+      capitalGainsTax = cgt;
+
+      // Repay remaining debt from sale proceeds; the repayment counts as
+      // principal repaid, just like the regular instalments
+      const repayDebt = loanBook.repayAll();
+      cumPrincipal += repayDebt;
       remainingDebt = 0;
+      loanYear.tranches.forEach((t) => {
+        t.remainingDebt = 0;
+      });
 
       const saleNetCF = saleGross - repayDebt - cgt;
+      saleProceeds = saleNetCF;
 
       // Add sale cash to this year's cashflow
       cashAfterTax += saleNetCF;
@@ -319,34 +646,86 @@ export function simulateScenario(inputs = {}, socioContext = null) {
       remainingDebt,
       interestPaid,
       principalPaid,
+      specialRepayment,
+      tranches: loanYear.tranches,
       grossRent,
+      rentCapped,
       netRent,
+      turnovers: unitYear ? unitYear.turnovers : 0,
+      reletCosts,
+      recoverableCosts: costs.recoverableCosts,
+      costsRecovered: costs.costsRecovered,
+      ownerCosts: costs.ownerCosts,
       maintenance,
+      reserveContribution: costs.reserveContribution,
+      specialLevy: costs.specialLevy,
+      capexDeducted,
+      capexCapitalized,
+      operatingCosts: costs.cash,
+      reserveUsed: costs.reserveUsed,
+      reserveBalance: costs.reserveBalance,
       depreciation,
+      accumulatedDepreciation,
+      bookValue,
       taxable,
       taxCash,
+      marginalTaxRate: marginalRate,
+      corporateTax,
+      lossCarryforward,
+      dividendPaid,
+      dividendTax,
       cashBeforeTax,
       cashAfterTax,
+      saleProceeds,
+      capitalGain,
+      capitalGainsTax,
       cumulativeCF,
       propertyValue: propertyVal,
       wealthFromCFAndLoan,
       equityPosition,
+      events,
     });
+
+    // Nothing left to simulate once the property is sold
+    if (saleHappened) break;
   }
 
   const last = years[years.length - 1];
 
-  // --- 3.6 KPIs & alternative investment -----------------------
+  // --- 2.8 KPIs & alternative investment -----------------------
 
-  const yearsUsed =
-    saleMode === "sell" && saleYear != null
-      ? Math.min(saleYear, horizonYears)
-      : horizonYears;
+  // The simulation stops in the sale year, so the rows cover the holding
+  // period exactly
+  const yearsUsed = years.length;
 
-  const equityInvested = equity;
+  const equityInvested = equity + financingGap;
 
   const equityPositionEnd = last.equityPosition;
-  const totalProfit = equityPositionEnd;
+
+  const rowsUsed = years.slice(0, yearsUsed);
+  const lastUsed = rowsUsed[rowsUsed.length - 1];
+
+  // GmbH: profits only reach the investor after corporate tax on the
+  // (hypothetical) sale and dividend tax on the payout. Both are counted as
+  // latent taxes at the end so that private and GmbH results compare.
+  let latentCorporateTax = 0;
+  let latentDividendTax = 0;
+  if (isCompany) {
+    if (!saleHappened) {
+      const unrealizedGain =
+        lastUsed.propertyValue * (1 - sellingCostRate) - lastUsed.bookValue;
+      latentCorporateTax = companyTaxOn(unrealizedGain);
+    }
+    const retainedProfit =
+      lastUsed.equityPosition +
+      cumDividendTax -
+      cumDividends -
+      latentCorporateTax;
+    latentDividendTax = Math.max(retainedProfit, 0) * dividendTaxRate;
+  }
+  const latentTax = latentCorporateTax + latentDividendTax;
+
+  const totalProfit = equityPositionEnd - latentTax;
   const roeTotal = equityInvested > 0 ? totalProfit / equityInvested : 0;
   const roeAnnualized =
     equityInvested > 0 && yearsUsed > 0
@@ -356,6 +735,54 @@ export function simulateScenario(inputs = {}, socioContext = null) {
   const equityMultiple =
     equityInvested > 0 ? (equityInvested + totalProfit) / equityInvested : 0;
 
+  // Equity cashflow series: initial equity (year 0), cashflow after tax per
+  // year, and at the end either the sale proceeds (already part of the sale
+  // year's cashflow) or the equity still tied up in the property, valued as
+  // if it were sold (value minus selling costs minus remaining debt).
+  // Latent GmbH taxes reduce the terminal value.
+  const terminalEquity =
+    (saleHappened
+      ? 0
+      : lastUsed.propertyValue * (1 - sellingCostRate) -
+        lastUsed.remainingDebt) - latentTax;
+
+  const cashOnlyFlows = [
+    -equityInvested,
+    ...rowsUsed.map((y) => y.cashAfterTax),
+  ];
+  const equityCashflows = [...cashOnlyFlows];
+  equityCashflows[equityCashflows.length - 1] += terminalEquity;
+
+  // XIRR: holding years run from the purchase month. Operating cashflows
+  // arrive over the year (dated mid-year, at the latest on the sale date),
+  // sale proceeds on the sale date, terminal equity at the end of the year.
+  const flowDate = ({ year, month }) => new Date(Date.UTC(year, month - 1, 1));
+  const datedFlows = [{ date: flowDate(purchase), amount: -equityInvested }];
+  rowsUsed.forEach((y, i) => {
+    const yearEnd = addMonths(purchase, (i + 1) * 12);
+    const sold = saleAt && Math.abs(y.saleProceeds) > 1e-6;
+    const midYear = addMonths(purchase, i * 12 + 6);
+    datedFlows.push({
+      date: flowDate(
+        sold && monthsBetween(saleAt, midYear) > 0 ? saleAt : midYear
+      ),
+      amount: y.cashAfterTax - y.saleProceeds,
+    });
+    const endAmount =
+      y.saleProceeds + (i === rowsUsed.length - 1 ? terminalEquity : 0);
+    if (Math.abs(endAmount) > 1e-6) {
+      datedFlows.push({
+        date: flowDate(sold ? saleAt : yearEnd),
+        amount: endAmount,
+      });
+    }
+  });
+
+  const equityIrr = irr(equityCashflows);
+  const equityXirr = xirr(datedFlows);
+  const equityNpv = npv(npvDiscountRate, equityCashflows);
+  const paybackYearIndex = paybackPeriod(cashOnlyFlows);
+
   // Alternative investment: same horizon as yearsUsed
   const altAfterTaxReturn = altReturnBeforeTax * (1 - altTaxRate);
   const altEndValue =
@@ -365,17 +792,40 @@ export function simulateScenario(inputs = {}, socioContext = null) {
   return {
     meta: {
       startYear,
+      holdingStructure: isCompany ? "gmbh" : "private",
       horizonYears,
       saleMode,
       saleYear,
+      purchaseDate: formatYearMonth(purchase),
+      saleDate: saleAt ? formatYearMonth(saleAt) : null,
+      monthsHeld,
+      speculativeSale,
       totalInvestment,
       financingNeed,
-      loanAmount1,
+      loanAmountTotal: loanNominal,
+      loanPayout,
+      financingGap,
       disagio,
+      tranches,
+      refinancings,
       afaBasis,
+      afa: afaPlan,
       purchaseCostBasis,
+      capex: capexPlan,
+      equityCashflows,
+      socioDefaults,
+      leaseType: lease.leaseType,
+      legalRents: objectRentPath.legalRents,
+      units,
     },
+    warnings: [
+      ...buildSocioWarnings(resolvedInputs, socioContext),
+      ...rentPathWarnings(objectRentPath, lease),
+      ...capexPlan.warnings,
+      ...afaPlan.warnings,
+    ],
     years,
+    monthlySchedule: loanBook.schedule,
     kpis: {
       equityInvested,
       equityPositionEnd,
@@ -385,9 +835,25 @@ export function simulateScenario(inputs = {}, socioContext = null) {
       equityMultiple,
       propertyValueEnd: last.propertyValue,
       remainingDebtEnd: last.remainingDebt,
+      interestTotal: cumInterest,
+      specialRepaymentTotal: cumSpecialRepayment,
       cumulativeCFEnd: last.cumulativeCF,
+      reserveBalanceEnd: last.reserveBalance,
       altEndValue,
       altProfit,
+      irr: equityIrr,
+      xirr: equityXirr,
+      npv: equityNpv,
+      npvDiscountRate,
+      paybackYear: paybackYearIndex,
+      paybackCalendarYear:
+        paybackYearIndex != null ? startYear + paybackYearIndex - 1 : null,
+      terminalEquity,
+      latentCorporateTax,
+      latentDividendTax,
+      dividendsPaid: cumDividends,
+      dividendTaxPaid: cumDividendTax,
+      lossCarryforwardEnd: lossCarryforward,
     },
   };
 }
@@ -0,0 +1,211 @@
+// monteCarlo.js
+// Monte Carlo risk simulation: draw the uncertain drivers from probability
+// distributions, run simulateScenario for every draw and summarize the
+// outcomes as percentiles, histograms and probabilities.
+// Pure module (no DOM), so it runs both in monteCarloWorker.js and in the
+// main thread. All rates are DECIMALS.
+
+import { simulateScenario } from "./model.js";
+
+// -------------------------------------------------------------
+// 1. Random numbers & distributions
+// -------------------------------------------------------------
+
+// Small seeded PRNG (mulberry32), so a run can be reproduced
+export function createRandom(seed = 1) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one value from a distribution spec:
+ *   { type: "normal", mean, sd }
+ *   { type: "triangular", min, mode, max }
+ *   { type: "uniform", min, max }
+ */
+export function sampleDistribution(spec, random) {
+  switch (spec.type) {
+    case "normal": {
+      // Box-Muller
+      const u1 = Math.max(random(), 1e-12);
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return spec.mean + spec.sd * z;
+    }
+
+    case "triangular": {
+      const { min, mode, max } = spec;
+      if (max <= min) return min;
+      const u = random();
+      const c = (mode - min) / (max - min);
+      return u < c
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    case "uniform":
+      return spec.min + (spec.max - spec.min) * random();
+
+    default:
+      throw new Error(`Unknown distribution type: ${spec.type}`);
+  }
+}
+
+// -------------------------------------------------------------
+// 2. Drivers: how a drawn value is written into the model inputs
+// -------------------------------------------------------------
+
+export const MONTE_CARLO_DRIVERS = {
+  rentGrowth: {
+    label: "Rent growth",
+    apply: (inputs, v) => ({ ...inputs, rentGrowth: v }),
+  },
+  vacancyRate: {
+    label: "Vacancy",
+    apply: (inputs, v) => ({
+      ...inputs,
+      vacancyRate: Math.min(Math.max(v, 0), 1),
+    }),
+  },
+  followUpRate: {
+    label: "Follow-up interest rate",
+    // Every tranche refinances at the drawn rate after its fixed period
+    apply: (inputs, v) => ({
+      ...inputs,
+      interestRate2: Math.max(v, 0),
+      loans: Array.isArray(inputs.loans)
+        ? inputs.loans.map((t) => ({ ...t, followUpRate: Math.max(v, 0) }))
+        : inputs.loans,
+    }),
+  },
+  landGrowthRate: {
+    label: "Land value growth",
+    apply: (inputs, v) => ({ ...inputs, landGrowthRate: v }),
+  },
+  maintenanceGrowth: {
+    label: "Operating cost growth",
+    apply: (inputs, v) => ({ ...inputs, maintenanceGrowth: v }),
+  },
+};
+
+// -------------------------------------------------------------
+// 3. Statistics helpers
+// -------------------------------------------------------------
+
+// Percentile of a SORTED array, linear interpolation (p in 0..1)
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function histogram(values, binCount = 20) {
+  if (values.length === 0) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = max > min ? (max - min) / binCount : 1;
+
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const v of values) {
+    const i = Math.min(Math.floor((v - min) / width), binCount - 1);
+    bins[i].count += 1;
+  }
+  return bins;
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    mean: sorted.reduce((s, v) => s + v, 0) / (sorted.length || 1),
+  };
+}
+
+// -------------------------------------------------------------
+// 4. Simulation
+// -------------------------------------------------------------
+
+/**
+ * @param {Object} baseInputs - model inputs of the scenario
+ * @param {Object} config
+ * @param {number} config.iterations - number of draws (e.g. 2000)
+ * @param {number} config.seed - PRNG seed
+ * @param {Object} config.distributions - driver key -> distribution spec;
+ *   drivers without spec keep their base value
+ * @param {Object} options
+ * @param {Function} options.onProgress - called as (done, total)
+ * @returns {Object} { iterations, equityBands, endEquity, irr,
+ *   probNegativeCumulativeCF, histograms }
+ */
+export function runMonteCarlo(
+  baseInputs = {},
+  { iterations = 2000, seed = 1, distributions = {} } = {},
+  { onProgress = null } = {}
+) {
+  const random = createRandom(seed);
+  const drivers = Object.entries(distributions).filter(
+    ([key, spec]) => spec && MONTE_CARLO_DRIVERS[key]
+  );
+
+  const equityByYear = []; // [yearIndex] -> values
+  const calendarYears = [];
+  const endEquity = [];
+  const irrs = [];
+  let negativeCumCF = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    let inputs = baseInputs;
+    for (const [key, spec] of drivers) {
+      const value = sampleDistribution(spec, random);
+      inputs = MONTE_CARLO_DRIVERS[key].apply(inputs, value);
+    }
+
+    const result = simulateScenario(inputs, null);
+
+    result.years.forEach((y, idx) => {
+      if (!equityByYear[idx]) {
+        equityByYear[idx] = [];
+        calendarYears[idx] = y.calendarYear;
+      }
+      equityByYear[idx].push(y.equityPosition);
+    });
+
+    endEquity.push(result.kpis.totalProfit);
+    if (result.kpis.irr != null) irrs.push(result.kpis.irr);
+    if (result.kpis.cumulativeCFEnd < 0) negativeCumCF += 1;
+
+    if (onProgress && (i + 1) % 100 === 0) onProgress(i + 1, iterations);
+  }
+
+  const equityBands = equityByYear.map((values, idx) => ({
+    calendarYear: calendarYears[idx],
+    ...summarize(values),
+  }));
+
+  return {
+    iterations,
+    equityBands,
+    endEquity: summarize(endEquity),
+    irr: summarize(irrs),
+    irrMissing: iterations - irrs.length,
+    probNegativeCumulativeCF: iterations > 0 ? negativeCumCF / iterations : 0,
+    histograms: {
+      endEquity: histogram(endEquity),
+      irr: histogram(irrs),
+    },
+  };
+}
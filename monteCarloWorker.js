@@ -0,0 +1,21 @@
+// monteCarloWorker.js
+// Web Worker (type: "module") that runs the Monte Carlo simulation off the
+// UI thread. Message in:  { inputs, config }
+// Messages out: { type: "progress", done, total } | { type: "done", result }
+//               | { type: "error", message }
+
+import { runMonteCarlo } from "./monteCarlo.js";
+
+self.addEventListener("message", (event) => {
+  const { inputs, config } = event.data || {};
+  try {
+    const result = runMonteCarlo(inputs, config, {
+      onProgress: (done, total) => {
+        self.postMessage({ type: "progress", done, total });
+      },
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+});
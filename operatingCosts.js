@@ -0,0 +1,120 @@
+// operatingCosts.js
+// Operating costs of a condominium flat by category, as on the Hausgeld
+// statement (monthly payment to the owners' association, WEG) plus the
+// owner's own costs. Tax treatment per category:
+// - recoverable costs (umlagefähige Betriebskosten incl. Grundsteuer) are
+//   deductible, the tenants' advance payments are rental income; the owner
+//   carries the share of the empty months
+// - non-recoverable costs (WEG and flat management, own insurance, own
+//   maintenance) are deductible when paid
+// - contributions to the maintenance reserve (Erhaltungsrücklage) are not
+//   deductible when paid, only when the WEG spends the reserve on repairs
+//   (BFH case law)
+// - special levies (Sonderumlagen) for repairs are deductible when paid;
+//   levies for modernisation would be acquisition costs (not modelled)
+// All rates are DECIMALS, all money values in EUR. Signs as in the
+// cashflow: income positive, expenses negative.
+
+// Categories of the yearly rows, for the yearly table and the charts
+export const OPERATING_COST_CATEGORIES = [
+  { key: "recoverableCosts", label: "Recoverable costs" },
+  { key: "costsRecovered", label: "Recovered from tenants" },
+  { key: "ownerCosts", label: "Non-recoverable costs" },
+  { key: "maintenance", label: "Own maintenance" },
+  { key: "reserveContribution", label: "Maintenance reserve" },
+  { key: "specialLevy", label: "Special levies" },
+];
+
+/**
+ * Create the cost ledger of a property. Call `runYear` once per holding
+ * year (1, 2, 3, ...); it tracks the owner's share of the maintenance
+ * reserve from year to year.
+ *
+ * @param {Object} costs - Hausgeld lines in EUR per month, other costs in
+ *   EUR per year, all as of year 1
+ * @param {number} costs.hausgeldRecoverable - umlagefähiger Anteil
+ * @param {number} costs.hausgeldNonRecoverable - WEG management, bank fees,
+ *   repairs of the common property
+ * @param {number} costs.hausgeldReserve - Zuführung Erhaltungsrücklage
+ * @param {number} costs.propertyTax - Grundsteuer p.a. (recoverable)
+ * @param {number} costs.insurance - own insurance p.a., outside the Hausgeld
+ * @param {number} costs.managementFee - Sondereigentumsverwaltung per month
+ * @param {number} costs.annualMaintenance - own maintenance of the flat p.a.
+ * @param {number} costs.costGrowth - growth of all running costs p.a.
+ * @param {Array} costs.specialLevies - [{ year, amount }], nominal EUR
+ * @param {number} costs.reserveBalanceStart - the flat's share of the
+ *   reserve at purchase
+ * @param {number} costs.reserveUsageRate - share of the reserve the WEG
+ *   spends on repairs each year
+ */
+export function createCostLedger({
+  hausgeldRecoverable = 0,
+  hausgeldNonRecoverable = 0,
+  hausgeldReserve = 0,
+  propertyTax = 0,
+  insurance = 0,
+  managementFee = 0,
+  annualMaintenance = 0,
+  costGrowth = 0,
+  specialLevies = [],
+  reserveBalanceStart = 0,
+  reserveUsageRate = 0,
+} = {}) {
+  let reserveBalance = reserveBalanceStart;
+
+  /**
+   * @param {number} year - holding year
+   * @param {number} vacancyShare - share of the rent lost to vacancy; the
+   *   tenants pay no advance on the recoverable costs for that share
+   * @returns {Object} the OPERATING_COST_CATEGORIES values plus
+   *   reserveUsed (spent by the WEG, deductible), reserveBalance,
+   *   cash (sum of all cash flows) and deductible (tax effect, negative)
+   */
+  function runYear(year, vacancyShare = 0) {
+    const growth = Math.pow(1 + costGrowth, year - 1);
+
+    const recoverable = (hausgeldRecoverable * 12 + propertyTax) * growth;
+    const recoverableCosts = -recoverable;
+    const costsRecovered =
+      recoverable * (1 - Math.min(Math.max(vacancyShare, 0), 1));
+    const ownerCosts =
+      -(hausgeldNonRecoverable * 12 + insurance + managementFee * 12) *
+      growth;
+    const maintenance = -annualMaintenance * growth;
+    const reserveContribution = -hausgeldReserve * 12 * growth;
+    const specialLevy = -specialLevies
+      .filter((l) => l.year === year)
+      .reduce((sum, l) => sum + l.amount, 0);
+
+    reserveBalance += -reserveContribution;
+    const reserveUsed = reserveBalance * reserveUsageRate;
+    reserveBalance -= reserveUsed;
+
+    return {
+      recoverableCosts,
+      costsRecovered,
+      ownerCosts,
+      maintenance,
+      reserveContribution,
+      specialLevy,
+      reserveUsed,
+      reserveBalance,
+      cash:
+        recoverableCosts +
+        costsRecovered +
+        ownerCosts +
+        maintenance +
+        reserveContribution +
+        specialLevy,
+      deductible:
+        recoverableCosts +
+        costsRecovered +
+        ownerCosts +
+        maintenance +
+        specialLevy -
+        reserveUsed,
+    };
+  }
+
+  return { runYear };
+}
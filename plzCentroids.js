@@ -0,0 +1,90 @@
+// plzCentroids.js
+// Local table of PLZ centroids with place names, for the PLZ search and the
+// distance-based benchmark fallback. Coordinates are approximate (district
+// centre, WGS84 degrees), good enough for distances of a few kilometres.
+// Covers the PLZ of the built-in socioData and their surroundings.
+
+export const plzCentroids = [
+  // Berlin / Brandenburg
+  { plz: "10115", place: "Berlin-Mitte", lat: 52.532, lon: 13.385 },
+  { plz: "10117", place: "Berlin-Mitte", lat: 52.517, lon: 13.392 },
+  { plz: "10178", place: "Berlin-Mitte", lat: 52.521, lon: 13.41 },
+  { plz: "10243", place: "Berlin-Friedrichshain", lat: 52.512, lon: 13.44 },
+  { plz: "10405", place: "Berlin-Prenzlauer Berg", lat: 52.534, lon: 13.424 },
+  { plz: "10961", place: "Berlin-Kreuzberg", lat: 52.492, lon: 13.4 },
+  { plz: "12043", place: "Berlin-Neukölln", lat: 52.48, lon: 13.437 },
+  { plz: "13353", place: "Berlin-Wedding", lat: 52.542, lon: 13.35 },
+  { plz: "14467", place: "Potsdam", lat: 52.401, lon: 13.058 },
+
+  // Hamburg
+  { plz: "20095", place: "Hamburg-Altstadt", lat: 53.551, lon: 10.001 },
+  { plz: "20357", place: "Hamburg-Eimsbüttel", lat: 53.566, lon: 9.962 },
+  { plz: "22765", place: "Hamburg-Altona", lat: 53.553, lon: 9.935 },
+  { plz: "21073", place: "Hamburg-Harburg", lat: 53.46, lon: 9.983 },
+  { plz: "21335", place: "Lüneburg", lat: 53.249, lon: 10.407 },
+
+  // München
+  { plz: "80331", place: "München-Altstadt", lat: 48.137, lon: 11.575 },
+  { plz: "80799", place: "München-Maxvorstadt", lat: 48.152, lon: 11.574 },
+  { plz: "81667", place: "München-Haidhausen", lat: 48.131, lon: 11.595 },
+  { plz: "82110", place: "Germering", lat: 48.134, lon: 11.367 },
+  { plz: "85354", place: "Freising", lat: 48.401, lon: 11.745 },
+  { plz: "86150", place: "Augsburg", lat: 48.366, lon: 10.898 },
+
+  // Köln / Rheinland / Ruhr
+  { plz: "50667", place: "Köln-Altstadt-Nord", lat: 50.938, lon: 6.957 },
+  { plz: "50823", place: "Köln-Ehrenfeld", lat: 50.951, lon: 6.915 },
+  { plz: "51103", place: "Köln-Kalk", lat: 50.938, lon: 7.01 },
+  { plz: "51373", place: "Leverkusen", lat: 51.033, lon: 6.988 },
+  { plz: "53111", place: "Bonn", lat: 50.737, lon: 7.098 },
+  { plz: "40213", place: "Düsseldorf", lat: 51.225, lon: 6.774 },
+  { plz: "42103", place: "Wuppertal", lat: 51.257, lon: 7.15 },
+  { plz: "44135", place: "Dortmund", lat: 51.514, lon: 7.466 },
+  { plz: "45127", place: "Essen", lat: 51.456, lon: 7.012 },
+
+  // Rhein-Main
+  { plz: "60311", place: "Frankfurt-Innenstadt", lat: 50.111, lon: 8.683 },
+  { plz: "60318", place: "Frankfurt-Nordend", lat: 50.125, lon: 8.687 },
+  { plz: "60594", place: "Frankfurt-Sachsenhausen", lat: 50.104, lon: 8.689 },
+  { plz: "61348", place: "Bad Homburg", lat: 50.227, lon: 8.618 },
+  { plz: "63065", place: "Offenbach am Main", lat: 50.1, lon: 8.766 },
+  { plz: "64283", place: "Darmstadt", lat: 49.872, lon: 8.651 },
+  { plz: "65183", place: "Wiesbaden", lat: 50.082, lon: 8.24 },
+  { plz: "55116", place: "Mainz", lat: 49.999, lon: 8.273 },
+
+  // Stuttgart
+  { plz: "70173", place: "Stuttgart-Mitte", lat: 48.778, lon: 9.18 },
+  { plz: "70176", place: "Stuttgart-West", lat: 48.776, lon: 9.16 },
+  { plz: "70372", place: "Stuttgart-Bad Cannstatt", lat: 48.805, lon: 9.215 },
+  { plz: "71063", place: "Sindelfingen", lat: 48.709, lon: 9.003 },
+  { plz: "71638", place: "Ludwigsburg", lat: 48.897, lon: 9.192 },
+  { plz: "72764", place: "Reutlingen", lat: 48.491, lon: 9.211 },
+  { plz: "73728", place: "Esslingen am Neckar", lat: 48.741, lon: 9.305 },
+
+  // Leipzig / Sachsen
+  { plz: "04103", place: "Leipzig-Mitte", lat: 51.341, lon: 12.39 },
+  { plz: "04109", place: "Leipzig-Zentrum", lat: 51.34, lon: 12.374 },
+  { plz: "04155", place: "Leipzig-Gohlis", lat: 51.362, lon: 12.37 },
+  { plz: "04277", place: "Leipzig-Connewitz", lat: 51.309, lon: 12.38 },
+  { plz: "04600", place: "Altenburg", lat: 50.985, lon: 12.433 },
+  { plz: "06108", place: "Halle (Saale)", lat: 51.483, lon: 11.97 },
+  { plz: "01067", place: "Dresden", lat: 51.052, lon: 13.734 },
+
+  // Rhein-Neckar / Karlsruhe
+  { plz: "68159", place: "Mannheim-Innenstadt", lat: 49.489, lon: 8.466 },
+  { plz: "68161", place: "Mannheim-Innenstadt", lat: 49.486, lon: 8.473 },
+  { plz: "68519", place: "Viernheim", lat: 49.54, lon: 8.578 },
+  { plz: "67059", place: "Ludwigshafen am Rhein", lat: 49.479, lon: 8.442 },
+  { plz: "69117", place: "Heidelberg", lat: 49.41, lon: 8.694 },
+  { plz: "76133", place: "Karlsruhe-Innenstadt", lat: 49.01, lon: 8.398 },
+  { plz: "76137", place: "Karlsruhe-Südstadt", lat: 49.003, lon: 8.41 },
+  { plz: "76185", place: "Karlsruhe-Mühlburg", lat: 49.01, lon: 8.36 },
+  { plz: "76275", place: "Ettlingen", lat: 48.942, lon: 8.408 },
+  { plz: "76646", place: "Bruchsal", lat: 49.124, lon: 8.598 },
+  { plz: "75175", place: "Pforzheim", lat: 48.892, lon: 8.695 },
+
+  // Other cities
+  { plz: "28195", place: "Bremen", lat: 53.076, lon: 8.807 },
+  { plz: "30159", place: "Hannover", lat: 52.374, lon: 9.738 },
+  { plz: "90402", place: "Nürnberg", lat: 49.449, lon: 11.077 },
+];
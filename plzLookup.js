@@ -0,0 +1,251 @@
+// plzLookup.js
+// PLZ search over postal codes and place names, and the socio benchmark for
+// a PLZ that is not in the dataset: derived from the same 3-digit area, the
+// nearest known PLZ (distance-weighted, via the centroid table) or the same
+// 2-digit region, in that order. Pure module (no DOM).
+
+import { plzCentroids } from "./plzCentroids.js";
+import { latestRecords, SOCIO_SCHEMA } from "./socioImport.js";
+
+// Neighbours further away than this are not used as a benchmark
+const MAX_NEIGHBOR_DISTANCE_KM = 60;
+const MAX_NEIGHBORS = 3;
+
+// Fields that are averaged when a benchmark is derived from several PLZ
+const AVERAGED_FIELDS = SOCIO_SCHEMA.map(([key]) => key).filter(
+  (key) => key !== "plz" && key !== "year"
+);
+
+// -------------------------------------------------------------
+// 1. Places
+// -------------------------------------------------------------
+
+function centroidFor(plz, centroids) {
+  return centroids.find((c) => c.plz === plz) || null;
+}
+
+export function placeName(plz, centroids = plzCentroids) {
+  return centroidFor(plz, centroids)?.place || "";
+}
+
+// Great-circle distance in km (haversine)
+export function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * PLZ from the search field: "04109", "04109 Leipzig-Zentrum" or an exact
+ * place name.
+ *
+ * @returns {string} 5-digit PLZ or "" if the text names none
+ */
+export function parsePlzQuery(text, centroids = plzCentroids) {
+  const query = String(text || "").trim();
+  const digits = query.match(/^(\d{5})\b/);
+  if (digits) return digits[1];
+
+  const lower = query.toLowerCase();
+  const place = lower
+    ? centroids.find((c) => c.place.toLowerCase() === lower)
+    : null;
+  return place ? place.plz : "";
+}
+
+/**
+ * Type-ahead suggestions over the PLZ of the dataset and the centroid
+ * table. PLZ prefixes and place names (anywhere in the name) match;
+ * PLZ with socio data come first.
+ *
+ * @returns {Array<{plz, place, hasData}>}
+ */
+export function searchPlz(
+  query,
+  records,
+  { limit = 20, centroids = plzCentroids } = {}
+) {
+  const text = String(query || "").trim().toLowerCase();
+  const withData = new Set(records.map((r) => r.plz));
+
+  const candidates = new Map();
+  for (const plz of withData) {
+    candidates.set(plz, { plz, place: placeName(plz, centroids) });
+  }
+  for (const c of centroids) {
+    if (!candidates.has(c.plz)) {
+      candidates.set(c.plz, { plz: c.plz, place: c.place });
+    }
+  }
+
+  return [...candidates.values()]
+    .filter(
+      (c) =>
+        !text ||
+        c.plz.startsWith(text) ||
+        c.place.toLowerCase().includes(text)
+    )
+    .map((c) => ({ ...c, hasData: withData.has(c.plz) }))
+    .sort(
+      (a, b) =>
+        Number(b.hasData) - Number(a.hasData) || a.plz.localeCompare(b.plz)
+    )
+    .slice(0, limit);
+}
+
+// -------------------------------------------------------------
+// 2. Benchmark with fallback
+// -------------------------------------------------------------
+
+// Weighted average of several records; year = newest source year
+function blendRecords(plz, sources) {
+  const totalWeight = sources.reduce((sum, s) => sum + s.weight, 0);
+  const record = {
+    plz,
+    year: Math.max(...sources.map((s) => s.record.year)),
+  };
+  for (const key of AVERAGED_FIELDS) {
+    record[key] =
+      sources.reduce((sum, s) => sum + s.record[key] * s.weight, 0) /
+      totalWeight;
+  }
+  record.population = Math.round(record.population);
+  return record;
+}
+
+function toSource(record, weight, target, centroids) {
+  const c = centroidFor(record.plz, centroids);
+  return {
+    plz: record.plz,
+    place: c?.place || "",
+    year: record.year,
+    weight,
+    distanceKm: target && c ? distanceKm(target, c) : null,
+    record,
+  };
+}
+
+/**
+ * Socio benchmark for a PLZ.
+ *
+ * @param {string} plz - 5-digit PLZ
+ * @param {Array} records - socio dataset (all years)
+ * @returns {Object|null} {
+ *   plz, method: "exact"|"prefix3"|"distance"|"prefix2",
+ *   record - latest record or weighted average of the sources,
+ *   sources: [{ plz, place, year, weight, distanceKm }] - weights sum to 1,
+ *   distanceKm - weighted distance to the sources (null if unknown)
+ * } or null if nothing near the PLZ is known
+ */
+export function resolveSocioBenchmark(
+  plz,
+  records,
+  { centroids = plzCentroids } = {}
+) {
+  if (!/^\d{5}$/.test(plz || "")) return null;
+
+  const latest = latestRecords(records);
+  const target = centroidFor(plz, centroids);
+  const result = (method, sources) => {
+    const weightSum = sources.reduce((sum, s) => sum + s.weight, 0);
+    const normalized = sources.map((s) => ({
+      ...s,
+      weight: s.weight / weightSum,
+    }));
+    const known = normalized.filter((s) => s.distanceKm != null);
+    return {
+      plz,
+      method,
+      record:
+        method === "exact" ? sources[0].record : blendRecords(plz, normalized),
+      sources: normalized,
+      distanceKm:
+        known.length === normalized.length
+          ? known.reduce((sum, s) => sum + s.distanceKm * s.weight, 0)
+          : null,
+    };
+  };
+
+  const exact = latest.find((r) => r.plz === plz);
+  if (exact) return result("exact", [toSource(exact, 1, target, centroids)]);
+
+  const prefix3 = latest.filter((r) => r.plz.slice(0, 3) === plz.slice(0, 3));
+  if (prefix3.length > 0) {
+    return result(
+      "prefix3",
+      prefix3.map((r) => toSource(r, 1, target, centroids))
+    );
+  }
+
+  if (target) {
+    const neighbors = latest
+      .map((r) => toSource(r, 0, target, centroids))
+      .filter(
+        (s) => s.distanceKm != null && s.distanceKm <= MAX_NEIGHBOR_DISTANCE_KM
+      )
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, MAX_NEIGHBORS);
+    if (neighbors.length > 0) {
+      // Inverse distance squared; 1 km floor so a shared centroid does not
+      // divide by zero
+      for (const n of neighbors) n.weight = 1 / Math.max(n.distanceKm, 1) ** 2;
+      return result("distance", neighbors);
+    }
+  }
+
+  const prefix2 = latest.filter((r) => r.plz.slice(0, 2) === plz.slice(0, 2));
+  if (prefix2.length > 0) {
+    return result(
+      "prefix2",
+      prefix2.map((r) => toSource(r, 1, target, centroids))
+    );
+  }
+
+  return null;
+}
+
+/**
+ * One-line description of where a benchmark comes from, for the PLZ
+ * summary and the memo.
+ */
+export function describeBenchmark(benchmark) {
+  if (!benchmark) return "";
+  const { plz, method, sources, distanceKm: distance } = benchmark;
+
+  const sourceText = sources
+    .map((s) => {
+      const parts = [s.place, `${s.year}`];
+      if (s.distanceKm != null) parts.push(`${s.distanceKm.toFixed(0)} km`);
+      if (sources.length > 1) parts.push(`${(s.weight * 100).toFixed(0)} %`);
+      return `${s.plz} (${parts.filter(Boolean).join(", ")})`;
+    })
+    .join("; ");
+  const distanceText =
+    distance != null ? `, about ${distance.toFixed(0)} km away` : "";
+
+  switch (method) {
+    case "exact":
+      return `Exact match: PLZ ${plz}, data year ${sources[0].year}.`;
+    case "prefix3":
+      return (
+        `No data for ${plz}; average of area ${plz.slice(0, 3)}xx` +
+        `${distanceText}: ${sourceText}.`
+      );
+    case "distance":
+      return (
+        `No data for ${plz}; distance-weighted average of the nearest ` +
+        `known PLZ${distanceText}: ${sourceText}.`
+      );
+    case "prefix2":
+      return (
+        `No data for ${plz}; rough average of region ${plz.slice(0, 2)}xxx` +
+        `${distanceText}: ${sourceText}.`
+      );
+    default:
+      return "";
+  }
+}
@@ -0,0 +1,221 @@
+// portfolio.js
+// Portfolio view: run several properties through the model and merge their
+// yearly rows by calendar year. Income tax of the privately held properties
+// is computed once on the combined rental result, so a loss of one property
+// offsets the profits of the others (Verlustausgleich).
+// All rates are DECIMALS, all money values in EUR.
+
+import { simulateScenario } from "./model.js";
+import { irr } from "./metrics.js";
+import { taxDifference } from "./tax.js";
+
+// Personal tax fields: the same investor owns every property
+const INVESTOR_TAX_FIELDS = [
+  "taxMode",
+  "incomeTaxRate",
+  "otherTaxableIncome",
+  "jointAssessment",
+  "churchTax",
+  "churchTaxRate",
+];
+
+// Row fields that are summed over the properties owned in a year
+const FLOW_FIELDS = [
+  "grossRent",
+  "netRent",
+  "reletCosts",
+  "recoverableCosts",
+  "costsRecovered",
+  "ownerCosts",
+  "maintenance",
+  "reserveContribution",
+  "specialLevy",
+  "capexDeducted",
+  "capexCapitalized",
+  "interestPaid",
+  "principalPaid",
+  "specialRepayment",
+  "depreciation",
+  "cashBeforeTax",
+  "cashAfterTax",
+  "saleProceeds",
+];
+
+// -------------------------------------------------------------
+// 1. Combined income tax
+// -------------------------------------------------------------
+
+/**
+ * Personal income tax on the combined result of all private properties
+ * of one calendar year.
+ *
+ * @param {number} taxableIncome - rental result plus taxable sale gains
+ * @param {Object} investor - see INVESTOR_TAX_FIELDS
+ * @param {number} calendarYear - selects the tariff
+ */
+function combinedIncomeTax(taxableIncome, investor, calendarYear) {
+  if (investor.taxMode !== "progressive") {
+    return (investor.incomeTaxRate || 0) * taxableIncome;
+  }
+  return taxDifference(investor.otherTaxableIncome || 0, taxableIncome, {
+    year: calendarYear,
+    jointAssessment: investor.jointAssessment,
+    churchTax: investor.churchTax,
+    churchTaxRate: investor.churchTaxRate,
+  });
+}
+
+// Income tax the model charged this row on its own (rental + sale gain)
+function standaloneIncomeTax(row) {
+  return -row.taxCash + row.capitalGainsTax;
+}
+
+// Sale gain that is taxed as private income (§23 EStG, speculative sale)
+function taxableSaleGain(row, result) {
+  return result.meta.speculativeSale && row.capitalGain > 0
+    ? row.capitalGain
+    : 0;
+}
+
+// -------------------------------------------------------------
+// 2. Portfolio simulation
+// -------------------------------------------------------------
+
+/**
+ * @param {Array<{name: string, inputs: Object, socioContext: Object}>}
+ *   properties - model inputs per property; each has its own startYear /
+ *   purchaseDate. socioContext (optional) is the socio record of its PLZ
+ * @param {Object} investor - personal tax situation (taxMode,
+ *   incomeTaxRate, otherTaxableIncome, jointAssessment, churchTax,
+ *   churchTaxRate); overrides the tax fields of every property
+ * @returns {Object} { properties: [{ name, result }], years: [...], kpis }
+ *   with one row per calendar year from the first purchase to the end of
+ *   the longest projection
+ */
+export function runPortfolio(properties = [], investor = {}) {
+  const investorFields = {};
+  for (const key of INVESTOR_TAX_FIELDS) {
+    if (investor[key] !== undefined) investorFields[key] = investor[key];
+  }
+
+  const runs = properties.map((p, i) => ({
+    name: p.name || `Property ${i + 1}`,
+    result: simulateScenario(
+      { ...p.inputs, ...investorFields },
+      p.socioContext || null
+    ),
+  }));
+
+  if (runs.length === 0) {
+    return { properties: [], years: [], kpis: null };
+  }
+
+  const firstYear = Math.min(...runs.map((r) => r.result.meta.startYear));
+  const lastYear = Math.max(
+    ...runs.map((r) => r.result.years[r.result.years.length - 1].calendarYear)
+  );
+
+  const years = [];
+  let cumulativeCF = 0;
+  let cumulativeTaxEffect = 0;
+
+  for (let calendarYear = firstYear; calendarYear <= lastYear; calendarYear++) {
+    const row = {
+      calendarYear,
+      propertyCount: 0,
+      remainingDebt: 0,
+      propertyValue: 0,
+      taxableRental: 0,
+      standaloneTax: 0,
+      combinedTax: 0,
+      companyTax: 0,
+      taxEffect: 0,
+      equityPosition: 0,
+    };
+    for (const field of FLOW_FIELDS) row[field] = 0;
+
+    let privateTaxable = 0;
+
+    for (const { result } of runs) {
+      const rows = result.years;
+      const own = rows.find((y) => y.calendarYear === calendarYear);
+
+      if (!own) {
+        // After a sale or the end of its projection the property's
+        // result stays in the portfolio equity; before purchase it is 0
+        const lastRow = rows[rows.length - 1];
+        if (calendarYear > lastRow.calendarYear) {
+          row.equityPosition += lastRow.equityPosition;
+        }
+        continue;
+      }
+
+      if (own.propertyValue > 0) row.propertyCount += 1;
+      for (const field of FLOW_FIELDS) row[field] += own[field];
+      row.remainingDebt += own.remainingDebt;
+      row.propertyValue += own.propertyValue;
+      row.taxableRental += own.taxable;
+      row.equityPosition += own.equityPosition;
+
+      if (result.meta.holdingStructure === "gmbh") {
+        row.companyTax += own.corporateTax + own.dividendTax;
+      } else {
+        row.standaloneTax += standaloneIncomeTax(own);
+        privateTaxable += own.taxable + taxableSaleGain(own, result);
+      }
+    }
+
+    // Replace the per-property income taxes by one tax on the sum
+    row.combinedTax = combinedIncomeTax(privateTaxable, investor, calendarYear);
+    row.taxEffect = row.standaloneTax - row.combinedTax;
+    row.cashAfterTax += row.taxEffect;
+
+    cumulativeCF += row.cashAfterTax;
+    cumulativeTaxEffect += row.taxEffect;
+    row.cumulativeCF = cumulativeCF;
+    row.equityPosition += cumulativeTaxEffect;
+    row.ltv = row.propertyValue > 0 ? row.remainingDebt / row.propertyValue : 0;
+
+    years.push(row);
+  }
+
+  // ---- Equity cashflows by calendar year (index 0 = year before the
+  // first purchase), for the portfolio IRR ----
+  const flows = new Array(lastYear - firstYear + 2).fill(0);
+  for (const { result } of runs) {
+    const offset = result.meta.startYear - firstYear;
+    result.meta.equityCashflows.forEach((cf, i) => {
+      flows[offset + i] += cf;
+    });
+  }
+  years.forEach((y, i) => {
+    flows[i + 1] += y.taxEffect;
+  });
+
+  const last = years[years.length - 1];
+  const equityInvested = runs.reduce(
+    (sum, r) => sum + r.result.kpis.equityInvested,
+    0
+  );
+  const totalProfit =
+    runs.reduce((sum, r) => sum + r.result.kpis.totalProfit, 0) +
+    cumulativeTaxEffect;
+
+  return {
+    properties: runs,
+    years,
+    kpis: {
+      propertyCount: runs.length,
+      equityInvested,
+      totalProfit,
+      irr: irr(flows),
+      cumulativeCFEnd: last.cumulativeCF,
+      remainingDebtEnd: last.remainingDebt,
+      propertyValueEnd: last.propertyValue,
+      ltvEnd: last.ltv,
+      maxLtv: Math.max(...years.map((y) => y.ltv)),
+      taxEffectTotal: cumulativeTaxEffect,
+      firstYearCashflow: years[0].cashAfterTax,
+    },
+  };
+}
@@ -0,0 +1,270 @@
+// rentPath.js
+// Yearly rent path of a lease under German rent law:
+// - standard lease: increases up to the local reference rent (ortsübliche
+//   Vergleichsmiete, §558 BGB), at most 20 % within 3 years
+//   (Kappungsgrenze), 15 % in tight markets
+// - index lease (Indexmiete, §557b BGB): rent follows the consumer price
+//   index, no Kappungsgrenze
+// - stepped lease (Staffelmiete, §557a BGB): fixed steps; afterwards the
+//   rules of a standard lease apply
+// In tight markets (angespannter Wohnungsmarkt) a new lease and every step
+// of a stepped lease are limited to 110 % of the reference rent
+// (Mietpreisbremse, §556d BGB). Its exemptions (new builds, comprehensive
+// modernisation, higher previous rent) are not modelled.
+// All rates are DECIMALS, all money values in EUR per month.
+
+export const LEASE_TYPES = ["standard", "index", "stepped"];
+
+const KAPPUNG_CAP = 0.2;
+const KAPPUNG_CAP_TIGHT_MARKET = 0.15;
+const KAPPUNG_WINDOW_YEARS = 3;
+const RENT_BRAKE_FACTOR = 1.1;
+
+// Rounding residue is not a cap
+const CAP_TOLERANCE = 0.005;
+
+// -------------------------------------------------------------
+// 1. Amounts by holding year (rent steps, special levies)
+// -------------------------------------------------------------
+
+/**
+ * Parse "year: amount" pairs separated by ";" or line breaks, e.g.
+ * "2: 1030; 4: 1.080,50". Years are holding years.
+ *
+ * @returns {Array<{year: number, amount: number}>} sorted by year;
+ *   malformed entries are skipped
+ */
+export function parseYearAmounts(text) {
+  return String(text || "")
+    .split(/[;\n]/)
+    .map((entry) => {
+      const match = /^\s*(\d+)\s*:\s*([\d.,]+)\s*$/.exec(entry);
+      if (!match) return null;
+      // "1.030,50", "4.000" (thousands dots) or "1030.5"
+      const german =
+        match[2].includes(",") || /^\d{1,3}(\.\d{3})+$/.test(match[2]);
+      const amount = german
+        ? match[2].replace(/\./g, "").replace(",", ".")
+        : match[2];
+      return { year: Number(match[1]), amount: Number(amount) };
+    })
+    .filter((s) => s && s.year >= 1 && Number.isFinite(s.amount))
+    .sort((a, b) => a.year - b.year);
+}
+
+export function formatYearAmounts(entries = []) {
+  return entries.map((e) => `${e.year}: ${e.amount}`).join("; ");
+}
+
+/**
+ * Stepped lease schedule from text, e.g. "2: 1030; 4: 1080"; rents are the
+ * new monthly cold rent.
+ *
+ * @returns {Array<{year: number, monthlyRent: number}>}
+ */
+export function parseRentSteps(text) {
+  return parseYearAmounts(text).map((e) => ({
+    year: e.year,
+    monthlyRent: e.amount,
+  }));
+}
+
+export function formatRentSteps(steps = []) {
+  return formatYearAmounts(
+    steps.map((s) => ({ year: s.year, amount: s.monthlyRent }))
+  );
+}
+
+// -------------------------------------------------------------
+// 2. Rent path
+// -------------------------------------------------------------
+
+function referenceRentFor(lease, year) {
+  const { sqm = 0, referenceRentPerSqm = 0, referenceRentGrowth = 0 } = lease;
+  return referenceRentPerSqm > 0 && sqm > 0
+    ? referenceRentPerSqm * sqm * Math.pow(1 + referenceRentGrowth, year - 1)
+    : null;
+}
+
+/**
+ * Highest monthly rent of a new lease signed in holding year `year`
+ * (Mietpreisbremse); Infinity outside tight markets or without a
+ * reference rent.
+ */
+export function rentBrakeLimit(lease, year) {
+  const reference = referenceRentFor(lease, year);
+  return lease.tightMarket && reference != null
+    ? reference * RENT_BRAKE_FACTOR
+    : Infinity;
+}
+
+/**
+ * @param {Object} lease
+ * @param {number} lease.monthlyRent - cold rent in year 1
+ * @param {number} lease.sqm - living area, for the reference rent
+ * @param {string} lease.leaseType - "standard" | "index" | "stepped"
+ * @param {number} lease.rentGrowth - assumed growth p.a. (standard lease
+ *   and after the last step)
+ * @param {number} lease.cpiGrowth - CPI growth p.a. (index lease)
+ * @param {Array} lease.rentSteps - [{ year, monthlyRent }] (stepped lease)
+ * @param {number} lease.referenceRentPerSqm - local reference rent in
+ *   year 1; 0 = unknown (only the Kappungsgrenze is checked)
+ * @param {number} lease.referenceRentGrowth - growth of the reference
+ *   rent p.a.
+ * @param {boolean} lease.tightMarket - angespannter Wohnungsmarkt
+ * @param {boolean} lease.newLease - the lease starts with the purchase
+ *   (Mietpreisbremse on the initial rent)
+ * @param {boolean} lease.enforceRentCaps - use the legal path instead of
+ *   the assumed one
+ * @param {number} years - number of holding years
+ * @returns {Object} {
+ *   monthlyRents - rent per holding year used by the model,
+ *   assumedRents - path from the inputs, legalRents - path within the caps,
+ *   capReasons - per year null or "brake" | "kappung" | "reference",
+ *   cappedYears - number of years the legal path is below the assumed one
+ * }
+ */
+export function buildRentPath(lease, years) {
+  const {
+    monthlyRent = 0,
+    leaseType = "standard",
+    rentGrowth = 0,
+    cpiGrowth = 0,
+    rentSteps = [],
+    tightMarket = false,
+    newLease = false,
+    enforceRentCaps = false,
+  } = lease;
+
+  const type = LEASE_TYPES.includes(leaseType) ? leaseType : "standard";
+  const steps = type === "stepped" ? rentSteps : [];
+  const lastStepYear = steps.length > 0 ? steps[steps.length - 1].year : 0;
+  const kappungCap = tightMarket ? KAPPUNG_CAP_TIGHT_MARKET : KAPPUNG_CAP;
+
+  const referenceRent = (year) => referenceRentFor(lease, year);
+  const brakeLimit = (year) => rentBrakeLimit(lease, year);
+
+  // Growth the inputs ask for from year - 1 to year
+  const assumedRents = [monthlyRent];
+  for (let year = 2; year <= years; year++) {
+    const previous = assumedRents[year - 2];
+    const step = steps.find((s) => s.year === year);
+    if (step) {
+      assumedRents.push(step.monthlyRent);
+    } else if (type === "index") {
+      assumedRents.push(previous * (1 + cpiGrowth));
+    } else if (year <= lastStepYear) {
+      assumedRents.push(previous);
+    } else {
+      assumedRents.push(previous * (1 + rentGrowth));
+    }
+  }
+
+  const legalRents = [];
+  const capReasons = [];
+
+  const initialLimit = newLease ? brakeLimit(1) : Infinity;
+  legalRents.push(Math.min(monthlyRent, initialLimit));
+  capReasons.push(
+    monthlyRent > initialLimit + CAP_TOLERANCE ? "brake" : null
+  );
+
+  for (let year = 2; year <= years; year++) {
+    const previous = legalRents[year - 2];
+    const assumedPrevious = assumedRents[year - 2];
+    const step = steps.find((s) => s.year === year);
+
+    // Same relative change as assumed, on the legal rent
+    let wanted =
+      assumedPrevious > 0
+        ? previous * (assumedRents[year - 1] / assumedPrevious)
+        : previous;
+    let limit = Infinity;
+    let reason = null;
+
+    if (step) {
+      // A step is a fixed amount, limited by the Mietpreisbremse only
+      wanted = step.monthlyRent;
+      limit = Math.max(previous, brakeLimit(year));
+      reason = "brake";
+    } else if (type !== "index" && year > lastStepYear) {
+      // Index leases and the years between two steps have no Kappungsgrenze
+      const base = legalRents[Math.max(year - 1 - KAPPUNG_WINDOW_YEARS, 0)];
+      const kappungLimit = base * (1 + kappungCap);
+      const reference = referenceRent(year);
+      // Raises only up to the reference rent; a higher rent may stay
+      const referenceLimit =
+        reference != null ? Math.max(previous, reference) : Infinity;
+      limit = Math.min(kappungLimit, referenceLimit);
+      reason = kappungLimit <= referenceLimit ? "kappung" : "reference";
+    }
+
+    const capped = wanted > limit + CAP_TOLERANCE;
+    legalRents.push(capped ? limit : wanted);
+    capReasons.push(capped ? reason : null);
+  }
+
+  return {
+    monthlyRents: enforceRentCaps ? legalRents : assumedRents,
+    assumedRents,
+    legalRents,
+    capReasons,
+    cappedYears: capReasons.filter(Boolean).length,
+  };
+}
+
+// -------------------------------------------------------------
+// 3. Warnings
+// -------------------------------------------------------------
+
+const REASON_LABELS = {
+  brake: "Mietpreisbremse (110 % of the reference rent)",
+  kappung: "Kappungsgrenze",
+  reference: "local reference rent",
+};
+
+const euro = (value) => `${Math.round(value).toLocaleString("de-DE")} €`;
+
+/**
+ * @param {Object} path - result of buildRentPath
+ * @param {Object} lease - the lease of buildRentPath
+ * @returns {Array<{code, severity, message}>} in the format of the socio
+ *   warnings (see socioInsights.js)
+ */
+export function rentPathWarnings(path, lease) {
+  const warnings = [];
+  const { assumedRents, legalRents, capReasons, cappedYears } = path;
+  if (cappedYears === 0) return warnings;
+
+  if (capReasons[0] === "brake") {
+    warnings.push({
+      code: "initialRentAboveRentBrake",
+      severity: "warning",
+      message:
+        `The initial rent of ${euro(assumedRents[0])} exceeds the ` +
+        `Mietpreisbremse limit of ${euro(legalRents[0])} per month` +
+        `${lease.enforceRentCaps ? " and was reduced" : ""}.`,
+    });
+  }
+
+  const laterCaps = capReasons.slice(1).filter(Boolean);
+  if (laterCaps.length > 0) {
+    const reasons = [...new Set(laterCaps)]
+      .map((r) => REASON_LABELS[r])
+      .join(", ");
+    const last = assumedRents.length - 1;
+    warnings.push({
+      code: lease.enforceRentCaps ? "rentCapped" : "rentGrowthNotLegal",
+      severity: lease.enforceRentCaps ? "info" : "warning",
+      message: lease.enforceRentCaps
+        ? `Rent capped by ${reasons} in ${laterCaps.length} of ` +
+          `${assumedRents.length} years.`
+        : `The assumed rent path is not legally possible: ${reasons} ` +
+          `would cap it in ${laterCaps.length} of ${assumedRents.length} ` +
+          `years (${euro(legalRents[last])} instead of ` +
+          `${euro(assumedRents[last])} per month in the final year).`,
+    });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,186 @@
+// rentRoll.js
+// Unit-level rent roll (Mieterliste) for multi-family buildings. Each unit
+// keeps its current rent until the tenant moves out; a re-let unit is let
+// at market rent after some empty months and with re-letting costs. Tenant
+// turnover is modelled as an expected value: with a turnover probability
+// of 10 % p.a., 10 % of the unit is re-let each year. Current rents follow
+// the lease rules of rentPath.js, market rents the assumed rent growth.
+// All rates are DECIMALS, all money values in EUR. Pure module (no DOM).
+
+import { buildRentPath, rentBrakeLimit } from "./rentPath.js";
+
+// Rounding residue is not a cap (as in rentPath.js)
+const CAP_TOLERANCE = 0.005;
+
+// -------------------------------------------------------------
+// 1. Units
+// -------------------------------------------------------------
+
+/**
+ * Clean up a unit list from the form or a saved deal: numbers default to 0,
+ * an empty market rent means the current rent is at market level.
+ *
+ * @param {Array} units - [{ name, sqm, monthlyRent, marketRent,
+ *   leaseStart: "YYYY-MM"|null, turnoverRate }]
+ * @returns {Array} units with sqm > 0 only
+ */
+export function normalizeUnits(units) {
+  if (!Array.isArray(units)) return [];
+  return units
+    .filter((u) => u && u.sqm > 0)
+    .map((u, i) => ({
+      name: String(u.name || `Unit ${i + 1}`),
+      sqm: u.sqm,
+      monthlyRent: u.monthlyRent > 0 ? u.monthlyRent : 0,
+      marketRent: u.marketRent > 0 ? u.marketRent : u.monthlyRent || 0,
+      leaseStart: u.leaseStart || null,
+      turnoverRate: Math.min(Math.max(u.turnoverRate || 0, 0), 1),
+    }));
+}
+
+export function rentRollTotals(units) {
+  return units.reduce(
+    (sum, u) => ({
+      sqm: sum.sqm + u.sqm,
+      monthlyRent: sum.monthlyRent + u.monthlyRent,
+      marketRent: sum.marketRent + u.marketRent,
+    }),
+    { sqm: 0, monthlyRent: 0, marketRent: 0 }
+  );
+}
+
+// -------------------------------------------------------------
+// 2. Yearly rent from the units
+// -------------------------------------------------------------
+
+/**
+ * Expected rent, vacancy and re-letting costs per holding year.
+ *
+ * Turnover happens at the start of a holding year, from year 2 on. A unit
+ * whose lease starts after the purchase is empty until then
+ * (startOffsetMonths). A unit without rent is let at market rent: from its
+ * lease start if one is given, otherwise at the start of year 1 after the
+ * usual empty months.
+ *
+ * @param {Array} units - normalized units, each with startOffsetMonths:
+ *   months from the purchase to the lease start (<= 0: already let)
+ * @param {Object} options
+ * @param {Object} options.lease - lease settings of buildRentPath (without
+ *   monthlyRent and sqm, which come from the unit)
+ * @param {number} options.years - number of holding years
+ * @param {number} options.reletVacancyMonths - empty months per re-let
+ * @param {number} options.reletCostPerSqm - EUR per m² and re-let (agent,
+ *   cosmetic repairs)
+ * @returns {Object} {
+ *   years: [{ grossRent, vacancyLoss, reletCosts, turnovers }] - yearly
+ *     values in EUR, turnovers = expected number of re-lets,
+ *   path: assumed and legal monthly rent of all units (sitting tenants
+ *     and re-lets, weighted by their expected share) in the format of
+ *     buildRentPath, for rentPathWarnings
+ * }
+ */
+export function buildRentRoll(
+  units,
+  { lease = {}, years, reletVacancyMonths = 0, reletCostPerSqm = 0 }
+) {
+  const vacancyMonths = Math.min(Math.max(reletVacancyMonths, 0), 12);
+  // Step amounts are for the whole object; units follow the standard rules
+  const unitLease = {
+    ...lease,
+    leaseType: lease.leaseType === "stepped" ? "standard" : lease.leaseType,
+    rentSteps: [],
+  };
+
+  const rows = Array.from({ length: years }, () => ({
+    grossRent: 0,
+    vacancyLoss: 0,
+    reletCosts: 0,
+    turnovers: 0,
+  }));
+  const path = {
+    assumedRents: new Array(years).fill(0),
+    legalRents: new Array(years).fill(0),
+    capReasons: new Array(years).fill(null),
+  };
+
+  for (const unit of units) {
+    const sittingPath = buildRentPath(
+      { ...unitLease, monthlyRent: unit.monthlyRent, sqm: unit.sqm },
+      years
+    );
+    const startOffset = Math.max(unit.startOffsetMonths || 0, 0);
+    const leaseStartYear = Math.floor(startOffset / 12) + 1;
+    const vacantAtPurchase = unit.monthlyRent <= 0;
+
+    // Share of the unit still let to the tenant at purchase; a vacant unit
+    // has none and is let at market rent
+    let sitting = vacantAtPurchase ? 0 : 1;
+    // For a vacant unit with a lease start, the months before it replace
+    // the assumed empty months of a let
+    const turnoverVacancyMonths =
+      vacantAtPurchase && startOffset > 0 ? 0 : vacancyMonths;
+
+    for (let year = 1; year <= years; year++) {
+      const row = rows[year - 1];
+
+      // A re-let is a new lease: Mietpreisbremse on the market rent
+      const assumedMarketRent =
+        unit.marketRent * Math.pow(1 + (lease.rentGrowth || 0), year - 1);
+      const legalMarketRent = Math.min(
+        assumedMarketRent,
+        rentBrakeLimit({ ...unitLease, sqm: unit.sqm }, year)
+      );
+      const marketRent = lease.enforceRentCaps
+        ? legalMarketRent
+        : assumedMarketRent;
+
+      let turnover = 0;
+      if (vacantAtPurchase) {
+        turnover = year === leaseStartYear ? 1 : 0;
+      } else if (year > leaseStartYear) {
+        turnover = unit.turnoverRate * sitting;
+      }
+      // Re-let units turn over again, but stay at market rent
+      const relet =
+        year > leaseStartYear ? (1 - sitting) * unit.turnoverRate : 0;
+      if (!vacantAtPurchase) sitting -= turnover;
+
+      const sittingRent = vacantAtPurchase
+        ? 0
+        : sittingPath.monthlyRents[year - 1];
+      const monthlyRent = sitting * sittingRent + (1 - sitting) * marketRent;
+
+      // Months before the lease start are empty
+      const emptyBeforeStart = Math.min(
+        Math.max(startOffset - (year - 1) * 12, 0),
+        12
+      );
+      const emptyRent = vacantAtPurchase ? marketRent : sitting * sittingRent;
+
+      row.grossRent += monthlyRent * 12;
+      row.vacancyLoss +=
+        (turnover * turnoverVacancyMonths + relet * vacancyMonths) *
+          marketRent +
+        emptyBeforeStart * emptyRent;
+      row.reletCosts += (turnover + relet) * reletCostPerSqm * unit.sqm;
+      row.turnovers += turnover + relet;
+
+      // Sitting tenant and re-let share of the unit
+      const i = year - 1;
+      path.assumedRents[i] +=
+        sitting * sittingPath.assumedRents[i] +
+        (1 - sitting) * assumedMarketRent;
+      path.legalRents[i] +=
+        sitting * sittingPath.legalRents[i] + (1 - sitting) * legalMarketRent;
+      const marketCapped =
+        sitting < 1 && assumedMarketRent > legalMarketRent + CAP_TOLERANCE;
+      path.capReasons[i] =
+        path.capReasons[i] ||
+        (sitting > 0 ? sittingPath.capReasons[i] : null) ||
+        (marketCapped ? "brake" : null);
+    }
+  }
+
+  path.cappedYears = path.capReasons.filter(Boolean).length;
+  return { years: rows, path };
+}
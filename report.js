@@ -0,0 +1,375 @@
+// report.js
+// Investment memo as PDF for banks and co-investors, generated in the
+// browser with jsPDF + jspdf-autotable (globals from CDN, passed in by
+// main.js). Sections: cover, sources & uses, financing, KPIs, charts,
+// yearly table, location data, assumptions appendix.
+// All rates in the results are DECIMALS, all money values in EUR.
+
+import { buildYearlyTable, flattenInputs } from "./yearlyTable.js";
+
+const PAGE_MARGIN = 15; // mm
+const HEADER_Y = 10;
+const FOOTER_OFFSET = 8; // mm above the bottom edge
+
+// -------------------------------------------------------------
+// 1. Formatting (PDF standard fonts: stick to WinAnsi characters)
+// -------------------------------------------------------------
+
+function money(value) {
+  if (value == null || !Number.isFinite(value)) return "–";
+  const v = Math.abs(value) < 0.5 ? 0 : value;
+  return `${v.toLocaleString("de-DE", { maximumFractionDigits: 0 })} €`;
+}
+
+function percent(value, decimals = 2) {
+  if (value == null || !Number.isFinite(value)) return "–";
+  return `${(value * 100).toFixed(decimals)} %`;
+}
+
+// -------------------------------------------------------------
+// 2. Report data
+// -------------------------------------------------------------
+
+/**
+ * Where the money comes from and where it goes. Both sides add up to the
+ * total investment of the model.
+ *
+ * @param {Object} inputs - model inputs
+ * @param {Object} result - simulateScenario result
+ * @returns {Object} { uses: [[label, EUR]], sources: [[label, EUR]], total }
+ */
+export function buildSourcesAndUses(inputs, result) {
+  const price = (inputs.buildingValue || 0) + (inputs.landValue || 0);
+  const meta = result.meta;
+
+  const uses = [
+    ["Purchase price", price],
+    ["Grunderwerbsteuer", price * (inputs.grEStRate || 0)],
+    ["Agent fee (Makler)", price * (inputs.maklerRate || 0)],
+    ["Land register (Grundbuch)", price * (inputs.grundbuchRate || 0)],
+    ["Notary", price * (inputs.notaryRate || 0)],
+    ["Company setup", inputs.companyCost || 0],
+    ["Fitting up", inputs.fittingUp || 0],
+    ["Initial repairs", inputs.initialRepairs || 0],
+  ].filter(([, amount]) => Math.abs(amount) > 0.5);
+
+  const sources = [
+    ["Equity", inputs.equity || 0],
+    ...meta.tranches.map((t) => [`${t.name} (nominal)`, t.principal]),
+  ];
+  if (Math.abs(meta.disagio) > 0.5) {
+    sources.push(["Disagio (withheld by the bank)", -meta.disagio]);
+  }
+  if (Math.abs(meta.financingGap) > 0.5) {
+    sources.push([
+      meta.financingGap > 0 ? "Additional equity (gap)" : "Surplus cash",
+      meta.financingGap,
+    ]);
+  }
+
+  return { uses, sources, total: meta.totalInvestment };
+}
+
+function kpiRows(result) {
+  const k = result.kpis;
+  const meta = result.meta;
+  return [
+    ["Equity invested", money(k.equityInvested)],
+    ["Total profit (end)", money(k.totalProfit)],
+    ["Annualized ROE", percent(k.roeAnnualized)],
+    ["Equity IRR / XIRR", `${percent(k.irr)} / ${percent(k.xirr)}`],
+    [`NPV at ${percent(k.npvDiscountRate, 1)}`, money(k.npv)],
+    ["Equity multiple", `${k.equityMultiple.toFixed(2)}x`],
+    [
+      "Payback (cash only)",
+      k.paybackCalendarYear != null ? String(k.paybackCalendarYear) : "–",
+    ],
+    ["Cashflow after tax, year 1", money(result.years[0].cashAfterTax)],
+    ["Interest paid in total", money(k.interestTotal)],
+    ["Property value at end", money(k.propertyValueEnd)],
+    ["Remaining debt at end", money(k.remainingDebtEnd)],
+    [
+      "Sale",
+      meta.saleDate
+        ? `${meta.saleDate}${meta.speculativeSale ? " (within 10 years)" : ""}`
+        : "hold",
+    ],
+  ];
+}
+
+const SOCIO_FIELDS = [
+  ["Data year", (r) => String(r.year)],
+  ["Population", (r) => r.population.toLocaleString("de-DE")],
+  ["Population growth", (r) => `${r.population_growth_pct.toFixed(2)} % p.a.`],
+  ["Median net income", (r) => money(r.median_net_income_eur)],
+  ["Unemployment rate", (r) => `${r.unemployment_rate_pct.toFixed(1)} %`],
+  ["Average rent", (r) => `${r.avg_rent_eur_m2.toFixed(2)} €/m²`],
+  [
+    "Average purchase price",
+    (r) => `${money(r.avg_purchase_price_eur_m2)}/m²`,
+  ],
+  [
+    "New construction",
+    (r) =>
+      `${r.new_construction_units_per_1000_residents.toFixed(1)} ` +
+      "/ 1,000 residents",
+  ],
+  ["Vacancy rate", (r) => `${r.vacancy_rate_pct.toFixed(1)} %`],
+];
+
+// -------------------------------------------------------------
+// 3. PDF
+// -------------------------------------------------------------
+
+/**
+ * Build the memo.
+ *
+ * @param {Function} jsPDF - constructor (window.jspdf.jsPDF) with the
+ *   autotable plugin loaded
+ * @param {Object} memo
+ * @param {string} memo.title - deal name
+ * @param {string} memo.address
+ * @param {string} memo.plz
+ * @param {Array<{name, inputs, result}>} memo.scenarios - all scenarios,
+ *   the first entry is the one the memo is about
+ * @param {boolean} memo.allScenarios - add the KPI comparison table
+ * @param {Array<{title, image}>} memo.charts - PNG data URLs
+ * @param {Object|null} memo.socioRecord - socioData entry of the PLZ, or
+ *   the benchmark derived from its surroundings
+ * @param {string} memo.socioSource - where socioRecord comes from
+ * @param {Function} memo.labelFor - input path -> readable label
+ * @param {Function} memo.isRate - input path -> true for decimal rates
+ * @returns {Object} jsPDF document
+ */
+export function createInvestmentMemo(jsPDF, memo) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const main = memo.scenarios[0];
+  const title = memo.title || "Investment memo";
+
+  let y = PAGE_MARGIN;
+  const pageWidth = () => doc.internal.pageSize.getWidth();
+  const pageHeight = () => doc.internal.pageSize.getHeight();
+  const contentBottom = () => pageHeight() - PAGE_MARGIN - FOOTER_OFFSET;
+
+  const tableDefaults = {
+    theme: "striped",
+    styles: { fontSize: 8, cellPadding: 1.2 },
+    headStyles: { fillColor: [37, 99, 235] },
+    margin: {
+      top: PAGE_MARGIN + 5,
+      bottom: PAGE_MARGIN + FOOTER_OFFSET,
+      left: PAGE_MARGIN,
+      right: PAGE_MARGIN,
+    },
+  };
+
+  function heading(text) {
+    if (y + 20 > contentBottom()) newPage();
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(13);
+    doc.text(text, PAGE_MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    y += 6;
+  }
+
+  function newPage(orientation = "portrait") {
+    doc.addPage("a4", orientation);
+    y = PAGE_MARGIN + 5;
+  }
+
+  function table(options) {
+    doc.autoTable({ ...tableDefaults, startY: y, ...options });
+    y = doc.lastAutoTable.finalY + 8;
+  }
+
+  // ---- Cover ----
+  const price = (main.inputs.buildingValue || 0) + (main.inputs.landValue || 0);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(22);
+  doc.text("Investment memo", PAGE_MARGIN, 60);
+  doc.setFontSize(16);
+  const titleLines = doc.splitTextToSize(title, pageWidth() - 2 * PAGE_MARGIN);
+  doc.text(titleLines, PAGE_MARGIN, 72);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  const coverLines = [
+    memo.address ? `Address: ${memo.address}` : null,
+    memo.plz ? `PLZ: ${memo.plz}` : null,
+    `Purchase price: ${money(price)}`,
+    `Total investment: ${money(main.result.meta.totalInvestment)}`,
+    `Purchase: ${main.result.meta.purchaseDate}`,
+    `Scenario: ${main.name}`,
+    `Created: ${new Date().toLocaleDateString("de-DE")}`,
+  ].filter(Boolean);
+  doc.text(coverLines, PAGE_MARGIN, 90, { lineHeightFactor: 1.6 });
+
+  // ---- Sources & uses, financing ----
+  newPage();
+  const su = buildSourcesAndUses(main.inputs, main.result);
+  heading("Sources and uses");
+  table({
+    head: [["Uses", "EUR"]],
+    body: [...su.uses.map(([l, v]) => [l, money(v)])],
+    foot: [["Total investment", money(su.total)]],
+    columnStyles: { 1: { halign: "right" } },
+  });
+  table({
+    head: [["Sources", "EUR"]],
+    body: su.sources.map(([l, v]) => [l, money(v)]),
+    foot: [
+      ["Total", money(su.sources.reduce((sum, [, v]) => sum + v, 0))],
+    ],
+    columnStyles: { 1: { halign: "right" } },
+  });
+
+  heading("Financing structure");
+  table({
+    head: [
+      ["Tranche", "Type", "Principal", "Rate", "Term", "Fixed", "Follow-up"],
+    ],
+    body: main.result.meta.tranches.map((t) => [
+      t.name,
+      t.type,
+      money(t.principal),
+      percent(t.interestRate),
+      `${t.termYears} y`,
+      `${t.fixRateYears || t.termYears} y`,
+      percent(t.followUpRate),
+    ]),
+  });
+  if (main.result.meta.refinancings.length > 0) {
+    table({
+      head: [["Refinancing", "Year", "Remaining debt", "Rate", "Annuity p.a."]],
+      body: main.result.meta.refinancings.map((e) => [
+        e.tranche,
+        String(e.calendarYear),
+        money(e.remainingDebt),
+        percent(e.interestRate),
+        money(e.annuity),
+      ]),
+    });
+  }
+
+  // ---- KPIs ----
+  heading(`Key figures (${main.name})`);
+  table({
+    body: kpiRows(main.result),
+    columnStyles: { 1: { halign: "right" } },
+  });
+
+  if (memo.allScenarios && memo.scenarios.length > 1) {
+    heading("Scenarios side by side");
+    const perScenario = memo.scenarios.map((s) => kpiRows(s.result));
+    table({
+      head: [["", ...memo.scenarios.map((s) => s.name)]],
+      body: perScenario[0].map(([label], i) => [
+        label,
+        ...perScenario.map((rows) => rows[i][1]),
+      ]),
+      styles: { ...tableDefaults.styles, halign: "right" },
+      columnStyles: { 0: { halign: "left" } },
+    });
+  }
+
+  // ---- Charts ----
+  if (memo.charts.length > 0) {
+    newPage();
+    heading("Charts");
+    const width = pageWidth() - 2 * PAGE_MARGIN;
+    for (const chart of memo.charts) {
+      const props = doc.getImageProperties(chart.image);
+      const height = Math.min((width * props.height) / props.width, 100);
+      if (y + height + 8 > contentBottom()) newPage();
+      doc.setFontSize(10);
+      doc.text(chart.title, PAGE_MARGIN, y);
+      doc.addImage(chart.image, "PNG", PAGE_MARGIN, y + 2, width, height);
+      y += height + 10;
+    }
+  }
+
+  // ---- Yearly table (landscape) ----
+  newPage("landscape");
+  heading(`Yearly cashflows (${main.name})`);
+  const yearly = buildYearlyTable(main.result.years);
+  table({
+    head: [yearly.columns.map((c) => c.label)],
+    body: yearly.rows.map((row) =>
+      row.map((v, i) => (i === 0 ? String(v) : money(v)))
+    ),
+    foot: [
+      yearly.totals.map((v, i) =>
+        i === 0 ? "Total / end" : v == null ? "" : money(v)
+      ),
+    ],
+    styles: { fontSize: 6, cellPadding: 0.8, halign: "right" },
+  });
+
+  // ---- Location ----
+  newPage();
+  heading(memo.plz ? `Location data (PLZ ${memo.plz})` : "Location data");
+  if (memo.socioRecord) {
+    if (memo.socioSource) {
+      doc.setFontSize(9);
+      const sourceLines = doc.splitTextToSize(
+        memo.socioSource,
+        pageWidth() - 2 * PAGE_MARGIN
+      );
+      doc.text(sourceLines, PAGE_MARGIN, y);
+      y += sourceLines.length * 4 + 2;
+    }
+    table({
+      body: SOCIO_FIELDS.map(([label, read]) => [
+        label,
+        read(memo.socioRecord),
+      ]),
+      columnStyles: { 1: { halign: "right" } },
+    });
+  } else {
+    doc.setFontSize(10);
+    doc.text("No location data for this deal.", PAGE_MARGIN, y);
+    y += 10;
+  }
+
+  // Location, rent law and CapEx checks
+  if (main.result.warnings?.length > 0) {
+    table({
+      head: [["Checks and warnings"]],
+      body: main.result.warnings.map((w) => [w.message]),
+    });
+  }
+
+  // ---- Assumptions appendix ----
+  heading("Appendix: assumptions");
+  table({
+    head: [["Input", "Value"]],
+    body: flattenInputs(main.inputs)
+      .filter(([, v]) => v != null && v !== "")
+      .map(([path, v]) => [
+        memo.labelFor(path),
+        typeof v === "number" && memo.isRate(path)
+          ? percent(v, 3)
+          : typeof v === "number"
+          ? v.toLocaleString("de-DE")
+          : String(v),
+      ]),
+    columnStyles: { 1: { halign: "right" } },
+  });
+
+  // ---- Header & footer on every page but the cover ----
+  const pages = doc.getNumberOfPages();
+  for (let i = 2; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(title, PAGE_MARGIN, HEADER_Y);
+    doc.text(
+      `Page ${i} of ${pages}`,
+      pageWidth() - PAGE_MARGIN,
+      pageHeight() - FOOTER_OFFSET,
+      { align: "right" }
+    );
+    doc.setTextColor(0, 0, 0);
+  }
+
+  return doc;
+}
@@ -0,0 +1,117 @@
+// scenarios.js
+// User-defined scenarios: a named list of overrides on the base inputs
+// ("rate shock", "big roof repair", ...). Pure module (no DOM).
+// Override values are DECIMALS like all model inputs.
+
+import { getInputValue, setInputValue } from "./analysis.js";
+
+// -------------------------------------------------------------
+// 1. Override operations
+// -------------------------------------------------------------
+// set:      input = value
+// add:      input = input + value       (e.g. +0.005 = +0.5 pp)
+// relative: input = input * (1 + value) (e.g. -0.05 = -5 %)
+
+export const OVERRIDE_OPS = {
+  set: { label: "set to", apply: (current, value) => value },
+  add: { label: "add", apply: (current, value) => current + value },
+  relative: {
+    label: "change by %",
+    apply: (current, value) => current * (1 + value),
+  },
+};
+
+// The former hard-coded optimistic / pessimistic variants
+export const DEFAULT_SCENARIOS = [
+  { id: "base", name: "Base", overrides: [] },
+  {
+    id: "opt",
+    name: "Optimistic",
+    overrides: [
+      { path: "monthlyRent", op: "relative", value: 0.05 },
+      { path: "rentGrowth", op: "add", value: 0.005 },
+      { path: "vacancyRate", op: "add", value: -0.02, min: 0 },
+    ],
+  },
+  {
+    id: "pes",
+    name: "Pessimistic",
+    overrides: [
+      { path: "monthlyRent", op: "relative", value: -0.05 },
+      { path: "rentGrowth", op: "add", value: -0.005, min: 0 },
+      { path: "vacancyRate", op: "add", value: 0.02 },
+    ],
+  },
+];
+
+/**
+ * Apply the overrides of a scenario to the base inputs (in list order).
+ * Overrides on unknown paths are ignored.
+ *
+ * @param {Object} baseInputs - model inputs from the form
+ * @param {Object} scenario - { id, name, overrides: [{ path, op, value,
+ *   min?, max? }] }
+ * @returns {Object} new inputs object, baseInputs is not changed
+ */
+export function applyScenario(baseInputs = {}, scenario = {}) {
+  let inputs = { ...baseInputs };
+
+  for (const o of scenario.overrides || []) {
+    const op = OVERRIDE_OPS[o.op];
+    const current = getInputValue(inputs, o.path);
+    if (!op || typeof current !== "number") continue;
+
+    let value = op.apply(current, o.value || 0);
+    if (o.min != null) value = Math.max(value, o.min);
+    if (o.max != null) value = Math.min(value, o.max);
+    inputs = setInputValue(inputs, o.path, value);
+  }
+  return inputs;
+}
+
+// -------------------------------------------------------------
+// 2. Scenario list handling
+// -------------------------------------------------------------
+
+export function createScenarioId(existing = []) {
+  const ids = new Set(existing.map((s) => s.id));
+  let i = existing.length + 1;
+  while (ids.has(`s${i}`)) i++;
+  return `s${i}`;
+}
+
+/**
+ * Validate a stored scenario list (e.g. from a saved deal). Falls back to
+ * the default scenarios; the base scenario is always first and has no
+ * overrides.
+ */
+export function normalizeScenarios(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return structuredClone(DEFAULT_SCENARIOS);
+  }
+
+  const scenarios = list
+    .filter((s) => s && typeof s.id === "string")
+    .map((s) => ({
+      id: s.id,
+      name: String(s.name || s.id),
+      overrides: (Array.isArray(s.overrides) ? s.overrides : [])
+        .filter(
+          (o) =>
+            o &&
+            typeof o.path === "string" &&
+            OVERRIDE_OPS[o.op] &&
+            Number.isFinite(o.value)
+        )
+        .map((o) => ({ ...o })),
+    }));
+
+  const base = scenarios.find((s) => s.id === "base") || {
+    id: "base",
+    name: "Base",
+  };
+  return [
+    { ...base, overrides: [] },
+    ...scenarios.filter((s) => s.id !== "base"),
+  ];
+}
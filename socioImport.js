@@ -0,0 +1,319 @@
+// socioImport.js
+// Import of the socio-economic dataset (many PLZ, many years) from CSV or
+// JSON, with schema validation and row-level error reporting. An imported
+// dataset is kept in localStorage and replaces the built-in socioData.js.
+// Field names and units are the ones of socioData.js.
+
+// -------------------------------------------------------------
+// 1. Schema
+// -------------------------------------------------------------
+// [key, type, min, max]; all fields are required
+
+export const SOCIO_SCHEMA = [
+  ["plz", "plz"],
+  ["year", "int", 1990, 2100],
+  ["population", "int", 0, 10000000],
+  ["population_growth_pct", "number", -20, 20],
+  ["median_net_income_eur", "number", 0, 200000],
+  ["unemployment_rate_pct", "number", 0, 100],
+  ["avg_rent_eur_m2", "number", 0, 100],
+  ["new_construction_units_per_1000_residents", "number", 0, 100],
+  ["vacancy_rate_pct", "number", 0, 100],
+  ["avg_purchase_price_eur_m2", "number", 0, 50000],
+];
+
+const STORAGE_KEY = "realEstateCalculator.socioData";
+const STORAGE_VERSION = 1;
+
+// -------------------------------------------------------------
+// 2. Parsing
+// -------------------------------------------------------------
+
+/**
+ * Minimal CSV parser: quoted fields, "" escapes, comma or semicolon as
+ * separator (detected from the header line).
+ *
+ * @returns {Object} { separator, rows: string[][] } including the header
+ */
+export function parseCsv(text) {
+  const clean = text.replace(/^﻿/, "");
+  const firstLine = clean.split(/\r?\n/, 1)[0];
+  const count = (ch) => firstLine.split(ch).length - 1;
+  const separator = count(";") > count(",") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (quoted) {
+      if (ch === '"' && clean[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && clean[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return {
+    separator,
+    rows: rows.filter((r) => r.some((f) => f.trim() !== "")),
+  };
+}
+
+// Raw records (objects with string or number values) from CSV or JSON
+function readRawRecords(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.records;
+    if (!Array.isArray(list)) {
+      throw new Error(
+        "JSON must be an array of records or { records: [...] }"
+      );
+    }
+    return { records: list, decimalComma: false, firstRow: 1 };
+  }
+
+  const { separator, rows } = parseCsv(text);
+  if (rows.length === 0) throw new Error("The file is empty.");
+  const header = rows[0].map((h) => h.trim());
+  const records = rows.slice(1).map((cells) => {
+    const rec = {};
+    header.forEach((key, i) => {
+      rec[key] = cells[i];
+    });
+    return rec;
+  });
+  // Semicolon files come from German Excel: 12,5 means 12.5
+  return { records, decimalComma: separator === ";", firstRow: 2 };
+}
+
+// -------------------------------------------------------------
+// 3. Validation
+// -------------------------------------------------------------
+
+function parseValue(raw, decimalComma) {
+  if (typeof raw === "number") return raw;
+  if (raw == null) return NaN;
+  let text = String(raw).trim();
+  if (text === "") return NaN;
+  // German format: "1.234,5" -> 1234.5, "3.897.145" -> 3897145;
+  // other values are read as they are
+  if (
+    decimalComma &&
+    (text.includes(",") || /^-?\d{1,3}(\.\d{3})+$/.test(text))
+  ) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  }
+  return Number(text);
+}
+
+/**
+ * Check raw records against SOCIO_SCHEMA.
+ *
+ * @param {Array<Object>} rawRecords
+ * @param {Object} options
+ * @param {boolean} options.decimalComma - "12,5" is 12.5
+ * @param {number} options.firstRow - row number of the first record, for
+ *   the messages (2 for CSV with header line)
+ * @returns {Object} { records, errors: [{ row, field, message }],
+ *   warnings: [...] } - records holds only the valid rows
+ */
+export function validateSocioRecords(
+  rawRecords,
+  { decimalComma = false, firstRow = 1 } = {}
+) {
+  const records = [];
+  const errors = [];
+  const warnings = [];
+  const seen = new Set();
+
+  rawRecords.forEach((raw, index) => {
+    const row = firstRow + index;
+    // JSON arrays may hold anything, e.g. [null] or [1]
+    if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+      errors.push({
+        row,
+        field: "record",
+        message: `not an object: ${JSON.stringify(raw) ?? String(raw)}`,
+      });
+      return;
+    }
+    const rec = {};
+    const rowErrors = [];
+
+    for (const [key, type, min, max] of SOCIO_SCHEMA) {
+      const value = raw[key];
+
+      if (type === "plz") {
+        const plz = String(value ?? "").trim();
+        if (!/^\d{4,5}$/.test(plz)) {
+          rowErrors.push({
+            row,
+            field: key,
+            message: `invalid PLZ "${plz}"`,
+          });
+          continue;
+        }
+        // Excel drops leading zeros: 4109 -> 04109
+        if (plz.length === 4) {
+          warnings.push({
+            row,
+            field: key,
+            message: `PLZ padded from ${plz} to 0${plz}`,
+          });
+        }
+        rec.plz = plz.padStart(5, "0");
+        continue;
+      }
+
+      const num = parseValue(value, decimalComma);
+      if (value == null || String(value).trim() === "") {
+        rowErrors.push({ row, field: key, message: "missing" });
+      } else if (!Number.isFinite(num)) {
+        rowErrors.push({
+          row,
+          field: key,
+          message: `not a number: "${value}"`,
+        });
+      } else if (type === "int" && !Number.isInteger(num)) {
+        rowErrors.push({
+          row,
+          field: key,
+          message: `not an integer: ${num}`,
+        });
+      } else if (num < min || num > max) {
+        rowErrors.push({
+          row,
+          field: key,
+          message: `${num} outside ${min} … ${max}`,
+        });
+      } else {
+        rec[key] = num;
+      }
+    }
+
+    if (rowErrors.length === 0) {
+      const id = `${rec.plz}/${rec.year}`;
+      if (seen.has(id)) {
+        rowErrors.push({
+          row,
+          field: "year",
+          message: `duplicate record for PLZ ${rec.plz} and ${rec.year}`,
+        });
+      }
+      seen.add(id);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      records.push(rec);
+    }
+  });
+
+  return { records, errors, warnings };
+}
+
+/**
+ * Parse and validate a CSV or JSON file. Format errors (broken JSON, empty
+ * file) are returned as an error for row 0.
+ */
+export function importSocioData(text) {
+  let raw;
+  try {
+    raw = readRawRecords(text);
+  } catch (err) {
+    return {
+      records: [],
+      errors: [{ row: 0, field: "", message: err.message }],
+      warnings: [],
+    };
+  }
+  return validateSocioRecords(raw.records, raw);
+}
+
+// -------------------------------------------------------------
+// 4. Queries
+// -------------------------------------------------------------
+
+// All years of one PLZ, oldest first
+export function recordsForPlz(records, plz) {
+  return records
+    .filter((r) => r.plz === plz)
+    .sort((a, b) => a.year - b.year);
+}
+
+// Latest record per PLZ, sorted by PLZ
+export function latestRecords(records) {
+  const byPlz = new Map();
+  for (const r of records) {
+    const current = byPlz.get(r.plz);
+    if (!current || r.year > current.year) byPlz.set(r.plz, r);
+  }
+  return [...byPlz.values()].sort((a, b) => a.plz.localeCompare(b.plz));
+}
+
+// -------------------------------------------------------------
+// 5. Local storage
+// -------------------------------------------------------------
+
+/**
+ * @returns {Object|null} { records, source, importedAt } of the imported
+ *   dataset, null if there is none (use the built-in socioData)
+ */
+export function loadStoredSocioData(storage = globalThis.localStorage) {
+  try {
+    const stored = JSON.parse(storage?.getItem(STORAGE_KEY) || "null");
+    if (!stored || stored.version !== STORAGE_VERSION) return null;
+    // Stored data was valid when imported; check again in case the
+    // schema got stricter since
+    const { records } = validateSocioRecords(stored.records || []);
+    return records.length > 0 ? { ...stored, records } : null;
+  } catch (err) {
+    console.warn("Stored socio dataset could not be read:", err);
+    return null;
+  }
+}
+
+export function storeSocioData(
+  records,
+  source = "",
+  storage = globalThis.localStorage
+) {
+  const stored = {
+    version: STORAGE_VERSION,
+    source,
+    importedAt: new Date().toISOString(),
+    records,
+  };
+  storage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  return stored;
+}
+
+export function clearStoredSocioData(storage = globalThis.localStorage) {
+  storage?.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,255 @@
+// socioInsights.js
+// Heuristics on the socio-economic record of a PLZ (socioData fields):
+// suggested rent, vacancy and growth rates, defaults for empty model inputs
+// and plausibility warnings for the deal. Shared by the UI and the model.
+// Rates are DECIMALS, money values in EUR. Pure module (no DOM).
+
+// Model inputs that are taken from the location data when left empty
+export const SOCIO_DEFAULT_FIELDS = [
+  "monthlyRent",
+  "vacancyRate",
+  "rentGrowth",
+  "landGrowthRate",
+  "referenceRentPerSqm",
+];
+
+// Deviation from the local benchmark that triggers a warning
+const RENT_DEVIATION_LIMIT = 0.2;
+const PRICE_DEVIATION_LIMIT = 0.2;
+const PRICE_FACTOR_DEVIATION_LIMIT = 0.15;
+const RENT_GROWTH_MARGIN = 0.01; // above the suggested growth
+const SHRINKING_POPULATION_PCT = -0.5;
+
+// Purchase price around the benchmark (badge "neutral")
+const PRICE_NEUTRAL_BAND = 0.1;
+
+// -------------------------------------------------------------
+// 1. Suggestions
+// -------------------------------------------------------------
+
+/**
+ * Location-based suggestions for one property.
+ *
+ * @param {Object} rec - socio record of the PLZ
+ * @param {Object} property
+ * @param {number} property.sqm - living area
+ * @param {number} property.purchasePrice - building + land value
+ * @returns {Object} { suggestedRentPerSqm, suggestedMonthlyRent,
+ *   suggestedVacancyRate, rentGrowth, landGrowth, benchmarkPricePerM2,
+ *   benchmarkTotalPrice, priceDiffPct, priceComment, priceBadge };
+ *   per-property values are null without sqm
+ */
+export function socioSuggestions(rec, { sqm = 0, purchasePrice = 0 } = {}) {
+  const {
+    population_growth_pct,
+    avg_rent_eur_m2,
+    new_construction_units_per_1000_residents,
+    vacancy_rate_pct,
+    avg_purchase_price_eur_m2,
+  } = rec;
+
+  const suggestedMonthlyRent = sqm > 0 ? avg_rent_eur_m2 * sqm : null;
+
+  // Base rent growth 1 % p.a., adjust with simple heuristics
+  let rentGrowth = 0.01;
+
+  if (population_growth_pct > 1.5) rentGrowth += 0.005;
+  else if (population_growth_pct < 0) rentGrowth -= 0.003;
+
+  if (vacancy_rate_pct < 2) rentGrowth += 0.003;
+  if (new_construction_units_per_1000_residents > 5) rentGrowth -= 0.003;
+
+  if (rentGrowth < 0) rentGrowth = 0;
+
+  // Land values follow the rents with a small premium, except where
+  // empty flats show that demand is weak
+  let landGrowth = rentGrowth + 0.005;
+  if (vacancy_rate_pct > 5) landGrowth -= 0.01;
+  if (landGrowth < 0) landGrowth = 0;
+
+  const suggestedVacancyRate = vacancy_rate_pct / 100;
+
+  const benchmarkPricePerM2 = avg_purchase_price_eur_m2;
+  const benchmarkTotalPrice = sqm > 0 ? benchmarkPricePerM2 * sqm : null;
+
+  let priceDiffPct = null;
+  let priceComment = "";
+  let priceBadge = "neutral";
+
+  if (benchmarkTotalPrice && purchasePrice > 0) {
+    priceDiffPct = purchasePrice / benchmarkTotalPrice - 1;
+
+    if (priceDiffPct < -PRICE_NEUTRAL_BAND) {
+      priceComment = "Below benchmark price level.";
+      priceBadge = "good";
+    } else if (Math.abs(priceDiffPct) <= PRICE_NEUTRAL_BAND) {
+      priceComment = "Around benchmark price level.";
+      priceBadge = "neutral";
+    } else {
+      priceComment = "Above benchmark price level.";
+      priceBadge = "bad";
+    }
+  }
+
+  return {
+    suggestedRentPerSqm: avg_rent_eur_m2,
+    suggestedMonthlyRent,
+    suggestedVacancyRate,
+    rentGrowth,
+    landGrowth,
+    benchmarkPricePerM2,
+    benchmarkTotalPrice,
+    priceDiffPct,
+    priceComment,
+    priceBadge,
+  };
+}
+
+// -------------------------------------------------------------
+// 2. Defaults for empty inputs
+// -------------------------------------------------------------
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === "";
+
+/**
+ * Fill the SOCIO_DEFAULT_FIELDS that are empty (null, undefined or "")
+ * with the suggestions for the location. Empty fields without a suggestion
+ * (no record, or no sqm for the rent) are removed, so the model defaults
+ * apply.
+ *
+ * @param {Object} inputs - model inputs
+ * @param {Object|null} rec - socio record of the PLZ
+ * @returns {Object} { inputs, applied: [{ field, value }] }
+ */
+export function applySocioDefaults(inputs = {}, rec = null) {
+  const empty = SOCIO_DEFAULT_FIELDS.filter((f) => isEmpty(inputs[f]));
+  if (empty.length === 0) return { inputs, applied: [] };
+
+  const s = rec ? socioSuggestions(rec, { sqm: inputs.sqm || 0 }) : null;
+  const suggested = {
+    monthlyRent: s?.suggestedMonthlyRent,
+    vacancyRate: s?.suggestedVacancyRate,
+    rentGrowth: s?.rentGrowth,
+    landGrowthRate: s?.landGrowth,
+    // Average rent of the PLZ as a stand-in for the Mietspiegel
+    referenceRentPerSqm: s?.suggestedRentPerSqm,
+  };
+
+  const filled = { ...inputs };
+  const applied = [];
+  for (const field of empty) {
+    const value = suggested[field];
+    if (value == null) {
+      delete filled[field];
+    } else {
+      filled[field] = value;
+      applied.push({ field, value });
+    }
+  }
+  return { inputs: filled, applied };
+}
+
+// -------------------------------------------------------------
+// 3. Warnings
+// -------------------------------------------------------------
+
+const pct = (value, decimals = 0) => `${(value * 100).toFixed(decimals)} %`;
+
+/**
+ * Plausibility checks of the deal against the location data.
+ *
+ * @param {Object} inputs - model inputs with defaults applied
+ * @param {Object|null} rec - socio record of the PLZ
+ * @returns {Array<{code, severity: "warning"|"info", message}>}
+ */
+export function buildSocioWarnings(inputs = {}, rec = null) {
+  if (!rec) return [];
+
+  const warnings = [];
+  const sqm = inputs.sqm || 0;
+  const monthlyRent = inputs.monthlyRent || 0;
+  const purchasePrice = (inputs.buildingValue || 0) + (inputs.landValue || 0);
+  const s = socioSuggestions(rec, { sqm, purchasePrice });
+
+  // ---- Rent level ----
+  if (sqm > 0 && monthlyRent > 0 && rec.avg_rent_eur_m2 > 0) {
+    const rentPerSqm = monthlyRent / sqm;
+    const diff = rentPerSqm / rec.avg_rent_eur_m2 - 1;
+    if (Math.abs(diff) > RENT_DEVIATION_LIMIT) {
+      warnings.push({
+        code: diff > 0 ? "rentAboveAverage" : "rentBelowAverage",
+        severity: diff > 0 ? "warning" : "info",
+        message:
+          `Your rent (${rentPerSqm.toFixed(2)} €/m²) is ` +
+          `${pct(Math.abs(diff))} ${diff > 0 ? "above" : "below"} the ` +
+          `PLZ average (${rec.avg_rent_eur_m2.toFixed(2)} €/m²).`,
+      });
+    }
+  }
+
+  // ---- Purchase price ----
+  if (s.priceDiffPct != null && s.priceDiffPct > PRICE_DEVIATION_LIMIT) {
+    warnings.push({
+      code: "priceAboveBenchmark",
+      severity: "warning",
+      message:
+        `Purchase price per m² (${(purchasePrice / sqm).toFixed(0)} €) is ` +
+        `${pct(s.priceDiffPct)} above the local benchmark ` +
+        `(${s.benchmarkPricePerM2.toFixed(0)} €/m²).`,
+    });
+  }
+
+  // Kaufpreisfaktor: price / annual cold rent
+  if (purchasePrice > 0 && monthlyRent > 0 && rec.avg_rent_eur_m2 > 0) {
+    const factor = purchasePrice / (monthlyRent * 12);
+    const localFactor =
+      rec.avg_purchase_price_eur_m2 / (rec.avg_rent_eur_m2 * 12);
+    if (factor > localFactor * (1 + PRICE_FACTOR_DEVIATION_LIMIT)) {
+      warnings.push({
+        code: "priceFactorAboveBenchmark",
+        severity: "warning",
+        message:
+          `Purchase price factor ${factor.toFixed(1)} is above the local ` +
+          `benchmark of ${localFactor.toFixed(1)}.`,
+      });
+    }
+  }
+
+  // ---- Assumptions ----
+  const localVacancy = rec.vacancy_rate_pct / 100;
+  if (inputs.vacancyRate != null && inputs.vacancyRate < localVacancy / 2) {
+    warnings.push({
+      code: "vacancyBelowLocal",
+      severity: "warning",
+      message:
+        `Assumed vacancy ${pct(inputs.vacancyRate, 1)} is well below the ` +
+        `local vacancy rate of ${pct(localVacancy, 1)}.`,
+    });
+  }
+
+  if (
+    inputs.rentGrowth != null &&
+    inputs.rentGrowth > s.rentGrowth + RENT_GROWTH_MARGIN
+  ) {
+    warnings.push({
+      code: "rentGrowthAboveLocal",
+      severity: "warning",
+      message:
+        `Rent growth of ${pct(inputs.rentGrowth, 1)} p.a. is well above ` +
+        `the ${pct(s.rentGrowth, 1)} p.a. suggested for this location.`,
+    });
+  }
+
+  if (rec.population_growth_pct < SHRINKING_POPULATION_PCT) {
+    warnings.push({
+      code: "shrinkingPopulation",
+      severity: "warning",
+      message:
+        `Population is shrinking ` +
+        `(${rec.population_growth_pct.toFixed(1)} % p.a.).`,
+    });
+  }
+
+  return warnings;
+}
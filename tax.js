@@ -0,0 +1,180 @@
+// tax.js
+// German personal income tax: §32a EStG tariff, Solidaritätszuschlag and
+// church tax. Used by the model for the "progressive" tax mode, where the
+// rental result is taxed on top of the investor's other taxable income.
+// All money values are in EUR, all rates are DECIMALS.
+
+// -------------------------------------------------------------
+// 1. Tariff table (§32a Abs. 1 EStG), one entry per assessment year
+// -------------------------------------------------------------
+// Zones:
+//   zvE <= basicAllowance:     0
+//   zvE <= zone2End:           (a * y + b) * y,      y = (zvE - basicAllowance) / 10000
+//   zvE <= zone3End:           (a * z + b) * z + c,  z = (zvE - zone2End) / 10000
+//   zvE <= zone4End:           0.42 * zvE - d
+//   above:                     0.45 * zvE - e
+// soliExemption: Freigrenze for the solidarity surcharge (income tax amount,
+// single assessment; doubled for joint assessment).
+//
+// To update: add the new year below. Years after the latest entry use the
+// latest tariff, years before the first entry use the first one.
+
+export const INCOME_TAX_TARIFFS = {
+  2023: {
+    basicAllowance: 10908,
+    zone2End: 15999,
+    zone2: [979.18, 1400],
+    zone3End: 62809,
+    zone3: [192.59, 2397, 966.53],
+    zone4End: 277825,
+    zone4: [0.42, 9972.98],
+    zone5: [0.45, 18307.73],
+    soliExemption: 17543,
+  },
+  2024: {
+    basicAllowance: 11784,
+    zone2End: 17005,
+    zone2: [954.8, 1400],
+    zone3End: 66760,
+    zone3: [181.19, 2397, 991.21],
+    zone4End: 277825,
+    zone4: [0.42, 10636.31],
+    zone5: [0.45, 18971.06],
+    soliExemption: 18130,
+  },
+  2025: {
+    basicAllowance: 12096,
+    zone2End: 17443,
+    zone2: [932.3, 1400],
+    zone3End: 68480,
+    zone3: [176.64, 2397, 1015.13],
+    zone4End: 277825,
+    zone4: [0.42, 10911.92],
+    zone5: [0.45, 19246.67],
+    soliExemption: 19950,
+  },
+  2026: {
+    basicAllowance: 12348,
+    zone2End: 17799,
+    zone2: [914.51, 1400],
+    zone3End: 69878,
+    zone3: [173.1, 2397, 1034.87],
+    zone4End: 277825,
+    zone4: [0.42, 11135.63],
+    zone5: [0.45, 19470.38],
+    soliExemption: 20350,
+  },
+};
+
+const SOLI_RATE = 0.055;
+const SOLI_PHASE_IN_RATE = 0.119; // Milderungszone
+
+export function getTariff(year) {
+  const tariffYears = Object.keys(INCOME_TAX_TARIFFS)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  let chosen = tariffYears[0];
+  for (const y of tariffYears) {
+    if (y <= year) chosen = y;
+  }
+  return INCOME_TAX_TARIFFS[chosen];
+}
+
+// -------------------------------------------------------------
+// 2. Tax amounts
+// -------------------------------------------------------------
+
+/**
+ * Income tax for one person (Grundtarif), rounded down to full EUR.
+ */
+export function incomeTaxBasic(taxableIncome, tariff) {
+  const x = Math.floor(Math.max(taxableIncome, 0));
+  const t = tariff;
+  let tax;
+
+  if (x <= t.basicAllowance) {
+    tax = 0;
+  } else if (x <= t.zone2End) {
+    const y = (x - t.basicAllowance) / 10000;
+    tax = (t.zone2[0] * y + t.zone2[1]) * y;
+  } else if (x <= t.zone3End) {
+    const z = (x - t.zone2End) / 10000;
+    tax = (t.zone3[0] * z + t.zone3[1]) * z + t.zone3[2];
+  } else if (x <= t.zone4End) {
+    tax = t.zone4[0] * x - t.zone4[1];
+  } else {
+    tax = t.zone5[0] * x - t.zone5[1];
+  }
+
+  return Math.floor(Math.max(tax, 0));
+}
+
+/**
+ * Personal tax burden for a taxable income.
+ *
+ * @param {number} taxableIncome - zu versteuerndes Einkommen (EUR)
+ * @param {Object} options
+ * @param {number} options.year - assessment year (selects the tariff)
+ * @param {boolean} options.jointAssessment - Ehegattensplitting
+ * @param {boolean} options.churchTax - member of a church
+ * @param {number} options.churchTaxRate - 0.08 (BY, BW) or 0.09
+ * @returns {Object} { incomeTax, soli, churchTax, total }
+ */
+export function personalTax(
+  taxableIncome,
+  {
+    year = new Date().getFullYear(),
+    jointAssessment = false,
+    churchTax = false,
+    churchTaxRate = 0.09,
+  } = {}
+) {
+  const tariff = getTariff(year);
+
+  const incomeTax = jointAssessment
+    ? 2 * incomeTaxBasic(taxableIncome / 2, tariff)
+    : incomeTaxBasic(taxableIncome, tariff);
+
+  // Soli only above the exemption, phased in via the Milderungszone
+  const exemption = tariff.soliExemption * (jointAssessment ? 2 : 1);
+  const soli =
+    incomeTax <= exemption
+      ? 0
+      : Math.min(
+          incomeTax * SOLI_RATE,
+          (incomeTax - exemption) * SOLI_PHASE_IN_RATE
+        );
+
+  // Simplified: church tax on the full income tax (no child allowances,
+  // no deduction of church tax as special expense)
+  const church = churchTax ? incomeTax * churchTaxRate : 0;
+
+  return {
+    incomeTax,
+    soli,
+    churchTax: church,
+    total: incomeTax + soli + church,
+  };
+}
+
+/**
+ * Extra tax caused by `additionalIncome` on top of `baseIncome` (negative
+ * = tax saving, e.g. for a rental loss).
+ */
+export function taxDifference(baseIncome, additionalIncome, options = {}) {
+  const without = personalTax(Math.max(baseIncome, 0), options).total;
+  const withExtra = personalTax(
+    Math.max(baseIncome + additionalIncome, 0),
+    options
+  ).total;
+  return withExtra - without;
+}
+
+/**
+ * Marginal tax rate (incl. Soli and church tax) at a given income,
+ * measured over the next 100 EUR.
+ */
+export function marginalTaxRate(taxableIncome, options = {}) {
+  return taxDifference(Math.max(taxableIncome, 0), 100, options) / 100;
+}
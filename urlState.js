@@ -0,0 +1,163 @@
+// urlState.js
+// Shareable links: the full calculation state (inputs, PLZ, scenario
+// definitions and the active scenario tab) as a compact URL hash
+// "#s=<base64url JSON>". The payload uses the deal schema, so outdated
+// links are upgraded with the same migrations as saved deals.
+
+import { DEAL_SCHEMA_VERSION, migrateDeal } from "./dealStore.js";
+import { SOCIO_DEFAULT_FIELDS } from "./socioInsights.js";
+
+const HASH_PREFIX = "#s=";
+
+// -------------------------------------------------------------
+// 1. base64url for UTF-8 strings (names and notes may contain umlauts)
+// -------------------------------------------------------------
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64);
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// -------------------------------------------------------------
+// 2. Encode / decode
+// -------------------------------------------------------------
+
+// Shorter links: drop empty values and float noise (0.035000000000000003)
+function compactValue(value) {
+  if (typeof value === "number") return +value.toPrecision(10);
+  if (Array.isArray(value)) return value.map(compactValue);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === null || v === undefined || v === "") continue;
+      out[key] = compactValue(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * @param {Object} state - { inputs, plz, scenarios, activeScenario }
+ * @returns {string} URL hash including the leading "#"
+ */
+export function encodeUrlState({ inputs, plz, scenarios, activeScenario }) {
+  const payload = compactValue({
+    schemaVersion: DEAL_SCHEMA_VERSION,
+    inputs,
+    plz,
+    scenarios,
+    activeScenario,
+  });
+  return HASH_PREFIX + toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Read the state from a URL hash.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object|null} { inputs, plz, scenarios, activeScenario } or
+ *   null if the hash carries no state
+ * @throws {Error} for malformed links or links from a newer version
+ */
+export function decodeUrlState(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch (err) {
+    throw new Error("The link is damaged and could not be read.");
+  }
+  if (!payload || typeof payload !== "object" || !payload.inputs) {
+    throw new Error("The link contains no calculation.");
+  }
+
+  let state;
+  try {
+    state = migrateDeal(payload);
+  } catch (err) {
+    throw new Error("The link was created by a newer version of this tool.");
+  }
+
+  // Values dropped by compactValue come back as null
+  const inputs = cleanNames({ ...state.inputs });
+  for (const key of [
+    "purchaseDate",
+    "saleYear",
+    "saleDate",
+    ...SOCIO_DEFAULT_FIELDS,
+  ]) {
+    if (inputs[key] === undefined) inputs[key] = null;
+  }
+
+  const scenarios = cleanScenarios(state.scenarios);
+  return {
+    inputs,
+    plz: PLZ_PATTERN.test(state.plz) ? state.plz : "",
+    scenarios,
+    activeScenario: (scenarios || []).some(
+      (s) => s.id === state.activeScenario
+    )
+      ? state.activeScenario
+      : "base",
+  };
+}
+
+// -------------------------------------------------------------
+// 3. Checks on the decoded state
+// -------------------------------------------------------------
+// A link is written by someone else: names are reduced to plain text of
+// limited length, ids and input paths to simple identifiers. The UI still
+// renders them as text.
+
+const PLZ_PATTERN = /^\d{5}$/;
+const ID_PATTERN = /^[\w-]{1,40}$/;
+const PATH_PATTERN = /^[\w.]{1,80}$/;
+const MAX_NAME_LENGTH = 80;
+
+function cleanText(value) {
+  if (typeof value !== "string" && typeof value !== "number") return "";
+  return String(value)
+    .replace(/[\u0000-\u001f\u007f<>]/g, "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+}
+
+// Names of tranches, units and CapEx events
+function cleanNames(inputs) {
+  for (const key of ["loans", "rentRoll", "capexEvents"]) {
+    if (!Array.isArray(inputs[key])) continue;
+    inputs[key] = inputs[key]
+      .filter((item) => item && typeof item === "object")
+      .map((item) =>
+        item.name === undefined ? item : { ...item, name: cleanText(item.name) }
+      );
+  }
+  return inputs;
+}
+
+function cleanScenarios(scenarios) {
+  if (!Array.isArray(scenarios)) return null;
+  return scenarios
+    .filter((s) => s && ID_PATTERN.test(s.id))
+    .map((s) => ({
+      ...s,
+      name: cleanText(s.name) || s.id,
+      overrides: Array.isArray(s.overrides)
+        ? s.overrides.filter((o) => o && PATH_PATTERN.test(o.path))
+        : [],
+    }));
+}
@@ -0,0 +1,227 @@
+// yearlyTable.js
+// Yearly cashflow table built from result.years, for the results panel and
+// the CSV / XLSX export (tax advisor, bank). Pure module (no DOM).
+// Signs as in the cashflow: income positive, expenses and payments negative.
+
+import { OPERATING_COST_CATEGORIES } from "./operatingCosts.js";
+
+// -------------------------------------------------------------
+// 1. Columns
+// -------------------------------------------------------------
+// total: "sum" over all years, "last" = value of the final year,
+// null = no total
+
+export const YEARLY_COLUMNS = [
+  {
+    key: "calendarYear",
+    label: "Year",
+    value: (y) => y.calendarYear,
+    total: null,
+  },
+  {
+    key: "grossRent",
+    label: "Gross rent",
+    value: (y) => y.grossRent,
+    total: "sum",
+  },
+  {
+    key: "vacancy",
+    label: "Vacancy",
+    value: (y) => y.netRent - y.grossRent,
+    total: "sum",
+  },
+  {
+    key: "reletCosts",
+    label: "Re-letting",
+    value: (y) => y.reletCosts,
+    total: "sum",
+  },
+  ...OPERATING_COST_CATEGORIES.map(({ key, label }) => ({
+    key,
+    label,
+    value: (y) => y[key] ?? 0,
+    total: "sum",
+  })),
+  {
+    key: "capexDeducted",
+    label: "CapEx (deducted)",
+    value: (y) => y.capexDeducted ?? 0,
+    total: "sum",
+  },
+  {
+    key: "capexCapitalized",
+    label: "CapEx (to AfA basis)",
+    value: (y) => y.capexCapitalized ?? 0,
+    total: "sum",
+  },
+  {
+    key: "interest",
+    label: "Interest",
+    value: (y) => -y.interestPaid,
+    total: "sum",
+  },
+  {
+    key: "principal",
+    label: "Principal",
+    value: (y) => -y.principalPaid,
+    total: "sum",
+  },
+  {
+    key: "specialRepayment",
+    label: "Special repayment",
+    value: (y) => -y.specialRepayment,
+    total: "sum",
+  },
+  {
+    key: "cashBeforeTax",
+    label: "Cashflow before tax",
+    value: (y) => y.cashBeforeTax,
+    total: "sum",
+  },
+  {
+    key: "depreciation",
+    label: "AfA",
+    value: (y) => y.depreciation,
+    total: "sum",
+  },
+  {
+    key: "taxable",
+    label: "Taxable result",
+    value: (y) => y.taxable,
+    total: "sum",
+  },
+  {
+    // Income / corporate tax on the rental result plus GmbH dividend tax;
+    // the tax on a sale gain is part of the sale proceeds
+    key: "tax",
+    label: "Tax",
+    value: (y) => y.taxCash - y.dividendTax,
+    total: "sum",
+  },
+  {
+    key: "saleProceeds",
+    label: "Sale proceeds (net)",
+    value: (y) => y.saleProceeds,
+    total: "sum",
+  },
+  {
+    key: "cashAfterTax",
+    label: "Cashflow after tax",
+    value: (y) => y.cashAfterTax,
+    total: "sum",
+  },
+  {
+    key: "reserveBalance",
+    label: "Reserve balance",
+    value: (y) => y.reserveBalance ?? 0,
+    total: "last",
+  },
+  {
+    key: "remainingDebt",
+    label: "Remaining debt",
+    value: (y) => y.remainingDebt,
+    total: "last",
+  },
+  {
+    key: "propertyValue",
+    label: "Property value",
+    value: (y) => y.propertyValue,
+    total: "last",
+  },
+  {
+    key: "equityPosition",
+    label: "Equity position",
+    value: (y) => y.equityPosition,
+    total: "last",
+  },
+];
+
+// -------------------------------------------------------------
+// 2. Table
+// -------------------------------------------------------------
+
+/**
+ * @param {Array} years - result.years of simulateScenario
+ * @param {Object} options
+ * @param {string[]} options.columns - column keys to include (default all)
+ * @param {{key: string, dir: "asc"|"desc"}|null} options.sort
+ * @returns {Object} { columns, rows: number[][], totals: (number|null)[] }
+ *   totals are always over all years, independent of the sorting
+ */
+export function buildYearlyTable(years = [], { columns, sort = null } = {}) {
+  const cols = columns
+    ? YEARLY_COLUMNS.filter((c) => columns.includes(c.key))
+    : YEARLY_COLUMNS;
+
+  const rows = years.map((y) => cols.map((c) => c.value(y)));
+
+  const totals = cols.map((c, i) => {
+    if (c.total === "sum") return rows.reduce((s, r) => s + r[i], 0);
+    if (c.total === "last" && rows.length > 0) return rows[rows.length - 1][i];
+    return null;
+  });
+
+  const sortIndex = sort ? cols.findIndex((c) => c.key === sort.key) : -1;
+  if (sortIndex >= 0) {
+    const dir = sort.dir === "desc" ? -1 : 1;
+    rows.sort((a, b) => (a[sortIndex] - b[sortIndex]) * dir);
+  }
+
+  return { columns: cols, rows, totals };
+}
+
+// -------------------------------------------------------------
+// 3. Export
+// -------------------------------------------------------------
+
+function formatCsvNumber(value, germanFormat) {
+  if (value == null) return "";
+  const text = Number.isInteger(value) ? String(value) : value.toFixed(2);
+  return germanFormat ? text.replace(".", ",") : text;
+}
+
+function csvText(text, separator) {
+  return text.includes(separator) || text.includes('"')
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * CSV of a table from buildYearlyTable. German format: semicolon as
+ * separator and decimal comma (opens directly in German Excel);
+ * otherwise comma and decimal point.
+ */
+export function yearlyTableToCsv(table, { germanFormat = true } = {}) {
+  const sep = germanFormat ? ";" : ",";
+  const lines = [table.columns.map((c) => csvText(c.label, sep)).join(sep)];
+
+  for (const row of table.rows) {
+    lines.push(row.map((v) => formatCsvNumber(v, germanFormat)).join(sep));
+  }
+  lines.push(
+    table.totals
+      .map((v, i) => (i === 0 ? "Total" : formatCsvNumber(v, germanFormat)))
+      .join(sep)
+  );
+  return lines.join("\n");
+}
+
+/**
+ * All input values as [path, value] pairs, tranche fields as
+ * "loans.<index>.<field>". For the input sheet of the XLSX export.
+ */
+export function flattenInputs(inputs = {}) {
+  const pairs = [];
+  for (const [key, value] of Object.entries(inputs)) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => {
+        for (const [field, v] of Object.entries(item || {})) {
+          pairs.push([`${key}.${i}.${field}`, v]);
+        }
+      });
+    } else {
+      pairs.push([key, value]);
+    }
+  }
+  return pairs;
+}